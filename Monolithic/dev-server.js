@@ -4,17 +4,54 @@
  * A lightweight HTTP server for local development and testing.
  * 
  * Usage:
- *   node dev-server.js [port]
- *   npm start [port]
+ *   node dev-server.js [port] [options]
+ *   npm start -- [port] [options]
  * 
- * Default port: 8000
+ * Default port: 8000. Run with --help for all options; they can also be set
+ * in devserver.config.js / devserver.config.json or DEVSERVER_* variables.
+ *
+ * Pages are reloaded automatically when files in index.html, assets/, src/,
+ * pages/ or public/ change. Stylesheet changes are applied without a reload.
+ *
+ * --prod serves files the way a production server or CDN would: caching is
+ * allowed, responses carry ETag / Last-Modified validators, conditional
+ * requests are answered with 304 and live reload is disabled.
+ *
+ * --history-fallback serves index.html for extension-less page requests
+ * (e.g. /services) so the app can use clean URLs with the History API.
+ *
+ * --https serves over HTTPS (HTTP/2 with HTTP/1.1 fallback) using a cached
+ * self-signed certificate for localhost and the LAN addresses, or the files
+ * given with --key and --cert.
+ *
+ * --host 0.0.0.0 makes the server reachable from other devices on the
+ * network; --qr prints a QR code of the network URL to open it on a phone.
  */
 
 const http = require('http');
+const https = require('https');
+const http2 = require('http2');
 const fs = require('fs');
 const path = require('path');
-const url = require('url');
 const { spawn } = require('child_process');
+const { getPathname, resolveStaticPath } = require('../shared/static-resolver');
+const LiveReload = require('./server/live-reload');
+const HistoryFallback = require('./server/history-fallback');
+const DevProxy = require('./server/proxy');
+const { getHelpText, resolveConfig } = require('./server/config');
+const { getSelfSignedCertificate } = require('./server/certificate');
+const { getNetworkAddresses } = require('./server/network');
+const { renderQrCode } = require('./server/qr-code');
+const { AccessLogger } = require('./server/logger');
+const { createETag, isFresh, isRangeFresh, parseRange } = require('./server/http-cache');
+const {
+    MIN_SIZE,
+    CompressionCache,
+    compress,
+    createCompressStream,
+    isCompressible,
+    negotiateEncoding
+} = require('./server/compression');
 
 // MIME types for different file extensions
 const mimeTypes = {
@@ -34,21 +71,80 @@ const mimeTypes = {
     '.eot': 'font/eot'
 };
 
+// Files and directories checked on start
+const DEFAULT_REQUIRED_FILES = ['index.html', 'assets', 'src', 'pages'];
+
+// Hosts that listen on every network interface
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+// Hosts that are only reachable from this machine
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Pages listed under "Quick Start" (label → path)
+const DEFAULT_QUICK_START = {
+    'Main page': '/',
+    'About page': '/pages/about.html',
+    'Services page': '/pages/services.html',
+    'Contact page': '/pages/contact.html'
+};
+
 class DevServer {
-    constructor(port = 8000) {
+    /**
+     * @param {number} port - Preferred port
+     * @param {Object} options - Server options (see server/config.js for the full list)
+     */
+    constructor(port = 8000, options = {}) {
         this.port = port;
-        this.projectRoot = __dirname;
+        this.host = options.host || 'localhost';
+        this.projectRoot = options.root ? path.resolve(options.root) : __dirname;
         this.server = null;
+        this.open = options.open !== false;
+        this.qr = options.qr === true;
+        // Passing your own key and certificate implies HTTPS
+        this.https = options.https === true || Boolean(options.key && options.cert);
+        this.http2 = options.http2 !== false;
+        this.keyFile = options.key || null;
+        this.certFile = options.cert || null;
+        this.certificate = null;
+        this.quiet = options.quiet === true;
+        this.logger = new AccessLogger({
+            format: options.logFormat,
+            file: options.logFile,
+            maxSize: options.logMaxSize,
+            maxFiles: options.logMaxFiles,
+            quiet: this.quiet
+        });
+        this.requestLogs = new WeakMap();
+        this.requiredFiles = options.requiredFiles || DEFAULT_REQUIRED_FILES;
+        this.quickStart = options.quickStart || DEFAULT_QUICK_START;
+        this.prod = options.prod === true;
+        this.maxAge = options.maxAge || 0;
+        this.compression = options.compression !== false ? new CompressionCache() : null;
+        this.proxy = options.proxy && Object.keys(options.proxy).length > 0
+            ? new DevProxy(options.proxy)
+            : null;
+        this.historyFallback = options.historyFallback
+            ? new HistoryFallback(options.historyFallback === true ? {} : options.historyFallback)
+            : null;
+        this.liveReload = options.liveReload !== false && !this.prod
+            ? new LiveReload(this.projectRoot, { watchPaths: options.watchPaths, quiet: this.quiet })
+            : null;
+
+        // Open connections (HTTP/1 sockets → requests in flight) and HTTP/2 sessions, for graceful shutdown
+        this.connections = new Map();
+        this.sessions = new Set();
+        this.shutdownTimeout = options.shutdownTimeout || 5000;
+        this.stopping = null;
+        this.signalHandlers = null;
     }
 
     /**
      * Check if project structure is valid
      */
     checkProjectStructure() {
-        const requiredFiles = ['index.html', 'assets', 'src', 'pages'];
         const missingFiles = [];
 
-        for (const file of requiredFiles) {
+        for (const file of this.requiredFiles) {
             const filePath = path.join(this.projectRoot, file);
             if (!fs.existsSync(filePath)) {
                 missingFiles.push(file);
@@ -86,7 +182,7 @@ class DevServer {
     isPortAvailable(port) {
         return new Promise((resolve) => {
             const server = require('net').createServer();
-            server.listen(port, () => {
+            server.listen(port, this.host, () => {
                 server.once('close', () => resolve(true));
                 server.close();
             });
@@ -102,22 +198,214 @@ class DevServer {
         return mimeTypes[ext] || 'text/plain';
     }
 
+    /**
+     * Load the TLS key and certificate
+     * Uses the files given with --key / --cert, or a cached self-signed
+     * certificate for localhost and the LAN addresses.
+     * @returns {Object} `{ key, cert }`
+     */
+    loadCertificate() {
+        if (this.keyFile || this.certFile) {
+            if (!this.keyFile || !this.certFile) {
+                throw new Error('Both --key and --cert are needed to use your own certificate');
+            }
+
+            this.certificate = { source: this.certFile, generated: false };
+            return {
+                key: fs.readFileSync(path.resolve(this.keyFile)),
+                cert: fs.readFileSync(path.resolve(this.certFile))
+            };
+        }
+
+        const hosts = [...LOOPBACK_HOSTS];
+        getNetworkAddresses().forEach(({ address }) => hosts.push(address.split('%')[0]));
+        if (!WILDCARD_HOSTS.includes(this.host) && !hosts.includes(this.host)) {
+            hosts.push(this.host);
+        }
+
+        const { key, cert, generated, path: certPath } = getSelfSignedCertificate(hosts);
+        this.certificate = { source: certPath, generated };
+        return { key, cert };
+    }
+
+    /**
+     * Create the HTTP, HTTPS or HTTP/2 server
+     * @returns {http.Server|https.Server|http2.Http2SecureServer}
+     */
+    createServer() {
+        const handler = (req, res) => {
+            this.trackInFlight(req, res);
+            this.trackRequest(req, res);
+            this.handleRequest(req, res);
+        };
+
+        if (!this.https) {
+            return http.createServer(handler);
+        }
+
+        const tlsOptions = this.loadCertificate();
+
+        // HTTP/2 for browsers, HTTP/1.1 for everything else (curl, WebSocket upgrades)
+        if (this.http2) {
+            return http2.createSecureServer({ ...tlsOptions, allowHTTP1: true }, handler);
+        }
+
+        return https.createServer(tlsOptions, handler);
+    }
+
+    /**
+     * Keep track of open connections so stop() can close them
+     * @param {http.Server|https.Server|http2.Http2SecureServer} server - Server
+     */
+    trackConnections(server) {
+        // Requests on TLS servers are bound to the TLS socket, not the raw TCP one
+        const event = this.https ? 'secureConnection' : 'connection';
+        server.on(event, (socket) => {
+            this.connections.set(socket, 0);
+            socket.on('close', () => this.connections.delete(socket));
+        });
+
+        server.on('session', (session) => {
+            this.sessions.add(session);
+            session.on('close', () => this.sessions.delete(session));
+            if (this.stopping) {
+                session.close();
+            }
+        });
+    }
+
+    /**
+     * Count in-flight HTTP/1 requests per connection
+     * Idle keep-alive connections are closed right away on shutdown, busy
+     * ones once their last response has been sent.
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    trackInFlight(req, res) {
+        // HTTP/2 sessions are drained by session.close()
+        if (req.httpVersionMajor >= 2 || !this.connections.has(req.socket)) {
+            return;
+        }
+
+        const socket = req.socket;
+        this.connections.set(socket, this.connections.get(socket) + 1);
+
+        if (this.stopping) {
+            res.setHeader('Connection', 'close');
+        }
+
+        let done = false;
+        const onDone = () => {
+            if (done || !this.connections.has(socket)) {
+                return;
+            }
+            done = true;
+
+            const inFlight = this.connections.get(socket) - 1;
+            this.connections.set(socket, inFlight);
+            if (this.stopping && inFlight === 0) {
+                socket.end();
+            }
+        };
+        res.on('finish', onDone);
+        res.on('close', onDone);
+    }
+
+    /**
+     * Handle WebSocket upgrade requests for proxied paths
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(req, socket, head) {
+        const proxyRule = this.proxy && this.proxy.match(getPathname(req.url));
+        if (!proxyRule || !proxyRule.ws) {
+            socket.destroy();
+            return;
+        }
+
+        const startTime = process.hrtime.bigint();
+        this.proxy.ws(req, socket, head, proxyRule, (statusCode, proxyTarget, error) => {
+            const duration = Number(process.hrtime.bigint() - startTime) / 1e6;
+            this.logRequest(req, statusCode, { proxyTarget, duration });
+            if (error) {
+                console.error(`❌ Proxy error: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Send an HTML error page
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {number} statusCode - HTTP status code
+     * @param {string} title - Page heading
+     * @param {string} message - Explanation shown below the heading
+     */
+    sendErrorPage(req, res, statusCode, title, message) {
+        res.writeHead(statusCode, { 'Content-Type': 'text/html' });
+        res.end(`
+            <html>
+                <head><title>${statusCode} - ${title}</title></head>
+                <body>
+                    <h1>${statusCode} - ${title}</h1>
+                    <p>${message}</p>
+                    <p><a href="/">← Back to Home</a></p>
+                </body>
+            </html>
+        `);
+    }
+
     /**
      * Handle HTTP requests
+     * Errors (e.g. from a history fallback `to()` function) answer 500
+     * instead of leaving the request hanging.
      */
-    handleRequest(req, res) {
-        const parsedUrl = url.parse(req.url, true);
-        let pathname = parsedUrl.pathname;
+    async handleRequest(req, res) {
+        try {
+            await this.routeRequest(req, res);
+        } catch (err) {
+            console.error(`❌ Error handling ${req.url}: ${err.message}`);
+            if (!res.headersSent) {
+                this.sendErrorPage(req, res, 500, 'Internal Server Error', 'The request could not be handled.');
+            } else {
+                res.destroy(err);
+            }
+        }
+    }
+
+    /**
+     * Route a request to the proxy, live reload or a static file
+     */
+    async routeRequest(req, res) {
+        const pathname = getPathname(req.url);
+
+        // Forward API calls to the backend before any local handling
+        const proxyRule = this.proxy && this.proxy.match(pathname);
+        if (proxyRule) {
+            this.proxy.web(req, res, proxyRule, (statusCode, proxyTarget, error) => {
+                this.setLogDetails(res, { proxyTarget });
+                if (error) {
+                    console.error(`❌ Proxy error: ${error.message}`);
+                }
+            });
+            return;
+        }
 
         // Add CORS headers for development
         res.setHeader('Access-Control-Allow-Origin', '*');
         res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
         res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
-        // Disable caching for development
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', '0');
+        if (this.prod) {
+            // Allow caching, clients revalidate with ETag / Last-Modified
+            res.setHeader('Cache-Control', `public, max-age=${this.maxAge}, must-revalidate`);
+        } else {
+            // Disable caching for development
+            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+            res.setHeader('Pragma', 'no-cache');
+            res.setHeader('Expires', '0');
+        }
 
         // Handle CORS preflight requests
         if (req.method === 'OPTIONS') {
@@ -126,70 +414,361 @@ class DevServer {
             return;
         }
 
-        // Default to index.html for root
-        if (pathname === '/') {
-            pathname = '/index.html';
-        }
-
-        // Construct file path
-        const filePath = path.join(this.projectRoot, pathname);
-
-        // Check if file exists
-        fs.access(filePath, fs.constants.F_OK, (err) => {
-            if (err) {
-                // File not found
-                res.writeHead(404, { 'Content-Type': 'text/html' });
-                res.end(`
-                    <html>
-                        <head><title>404 - Not Found</title></head>
-                        <body>
-                            <h1>404 - File Not Found</h1>
-                            <p>The requested file <code>${pathname}</code> was not found.</p>
-                            <p><a href="/">← Back to Home</a></p>
-                        </body>
-                    </html>
-                `);
-                this.logRequest(req, 404);
+        // Serve live reload events and client script
+        if (this.liveReload && this.liveReload.handleRequest(req, res, pathname)) {
+            return;
+        }
+
+        // Resolve the file inside the project root (serves index.html for directories)
+        let result = await resolveStaticPath(this.projectRoot, req.url);
+
+        // Serve the app shell for client-side routes
+        if (result.status === 404 && this.historyFallback) {
+            const fallback = this.historyFallback.resolve(req, pathname);
+            if (fallback) {
+                result = await resolveStaticPath(this.projectRoot, fallback);
+            }
+        }
+
+        switch (result.status) {
+            case 301:
+                res.writeHead(301, { Location: result.location });
+                res.end();
+                return;
+            case 400:
+                this.sendErrorPage(req, res, 400, 'Bad Request', 'The requested path could not be decoded.');
+                return;
+            case 403:
+                this.sendErrorPage(req, res, 403, 'Forbidden', 'Access outside the project directory is not allowed.');
+                return;
+            case 404:
+                this.sendErrorPage(req, res, 404, 'File Not Found', `The requested file <code>${pathname}</code> was not found.`);
+                return;
+        }
+
+        this.serveFile(req, res, result.filePath, result.stats);
+    }
+
+    /**
+     * Serve a file, answering conditional and range requests
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} filePath - Absolute file path
+     * @param {fs.Stats} stats - File stats
+     */
+    serveFile(req, res, filePath, stats) {
+        const mimeType = this.getMimeType(filePath);
+
+        // HTML pages get the live reload client injected, so they are buffered
+        if (this.liveReload && mimeType === 'text/html') {
+            this.serveHtmlWithLiveReload(req, res, filePath);
+            return;
+        }
+
+        const lastModified = stats.mtime;
+        const encoding = this.getResponseEncoding(req, res, mimeType, stats.size);
+
+        // Each encoding is a different representation and needs its own validator
+        let etag = createETag(stats);
+        if (encoding) {
+            etag = `${etag.slice(0, -1)}-${encoding}"`;
+        }
+
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Accept-Ranges', 'bytes');
+
+        if (this.prod) {
+            res.setHeader('ETag', etag);
+            res.setHeader('Last-Modified', lastModified.toUTCString());
+
+            if ((req.method === 'GET' || req.method === 'HEAD') && isFresh(req.headers, etag, lastModified)) {
+                res.writeHead(304);
+                res.end();
                 return;
             }
+        }
 
-            // Read and serve file
-            fs.readFile(filePath, (err, data) => {
-                if (err) {
-                    res.writeHead(500, { 'Content-Type': 'text/html' });
-                    res.end(`
-                        <html>
-                            <head><title>500 - Server Error</title></head>
-                            <body>
-                                <h1>500 - Internal Server Error</h1>
-                                <p>Error reading file: ${err.message}</p>
-                            </body>
-                        </html>
-                    `);
-                    this.logRequest(req, 500);
-                    return;
-                }
+        if (encoding) {
+            this.serveCompressed(req, res, filePath, stats, encoding);
+            return;
+        }
+
+        // Partial content for a single byte range
+        let range = null;
+        if (req.headers.range && isRangeFresh(req.headers, etag, lastModified)) {
+            range = parseRange(req.headers.range, stats.size);
+
+            if (range === -1) {
+                res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+                res.end();
+                return;
+            }
+        }
+
+        const statusCode = range ? 206 : 200;
+        const start = range ? range.start : 0;
+        const end = range ? range.end : stats.size - 1;
+
+        if (range) {
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+        }
+        res.setHeader('Content-Length', Math.max(end - start + 1, 0));
+
+        if (req.method === 'HEAD' || stats.size === 0) {
+            res.writeHead(statusCode);
+            res.end();
+            return;
+        }
+
+        // Stream the file instead of buffering it
+        const stream = fs.createReadStream(filePath, { start, end });
+
+        stream.on('open', () => {
+            res.writeHead(statusCode);
+            stream.pipe(res);
+        });
+
+        stream.on('error', (err) => {
+            if (res.headersSent) {
+                res.destroy(err);
+                return;
+            }
+            res.removeHeader('Content-Length');
+            res.removeHeader('Content-Range');
+            this.sendErrorPage(req, res, 500, 'Internal Server Error', `Error reading file: ${err.message}`);
+        });
+
+        // Stop reading if the client goes away
+        res.on('close', () => stream.destroy());
+    }
+
+    /**
+     * Pick the content encoding for a response
+     * Sets `Vary` for compressible types so caches keep one copy per encoding.
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} mimeType - Response MIME type
+     * @param {number} size - Uncompressed size in bytes
+     * @returns {string|null} 'br', 'gzip' or null to send the file as is
+     */
+    getResponseEncoding(req, res, mimeType, size) {
+        if (!this.compression || !isCompressible(mimeType)) {
+            return null;
+        }
+
+        res.setHeader('Vary', 'Accept-Encoding');
+
+        // Byte ranges refer to the uncompressed file
+        if (size < MIN_SIZE || req.headers.range) {
+            return null;
+        }
+
+        return negotiateEncoding(req.headers['accept-encoding']);
+    }
+
+    /**
+     * Serve a compressed copy of a file
+     * Cached copies of small files are sent as is; otherwise the file is
+     * compressed while it is streamed (and cached afterwards if small).
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} filePath - Absolute file path
+     * @param {fs.Stats} stats - File stats
+     * @param {string} encoding - 'br' or 'gzip'
+     */
+    serveCompressed(req, res, filePath, stats, encoding) {
+        const cached = this.compression.get(filePath, stats, encoding);
+        if (cached) {
+            res.writeHead(200, {
+                'Content-Encoding': encoding,
+                'Content-Length': cached.length
+            });
+            res.end(req.method === 'HEAD' ? undefined : cached);
+            this.setLogDetails(res, {
+                compression: { originalSize: stats.size, compressedSize: cached.length, encoding }
+            });
+            return;
+        }
 
-                // Set content type and send file
-                const mimeType = this.getMimeType(filePath);
-                res.writeHead(200, { 'Content-Type': mimeType });
-                res.end(data);
-                this.logRequest(req, 200);
+        // The compressed size isn't known before the end, so no Content-Length
+        if (req.method === 'HEAD') {
+            res.writeHead(200, { 'Content-Encoding': encoding });
+            res.end();
+            return;
+        }
+
+        const stream = fs.createReadStream(filePath);
+        const compressor = createCompressStream(encoding);
+        const chunks = this.compression.isCacheable(stats) ? [] : null;
+        let compressedSize = 0;
+
+        compressor.on('data', (chunk) => {
+            compressedSize += chunk.length;
+            if (chunks) {
+                chunks.push(chunk);
+            }
+        });
+        compressor.on('end', () => {
+            if (chunks) {
+                this.compression.set(filePath, stats, encoding, Buffer.concat(chunks));
+            }
+            this.setLogDetails(res, {
+                compression: { originalSize: stats.size, compressedSize, encoding }
             });
         });
+
+        const onError = (err) => {
+            stream.destroy();
+            compressor.destroy();
+            if (res.headersSent) {
+                res.destroy(err);
+                return;
+            }
+            this.sendErrorPage(req, res, 500, 'Internal Server Error', `Error compressing file: ${err.message}`);
+        };
+        stream.on('error', onError);
+        compressor.on('error', onError);
+
+        stream.on('open', () => {
+            res.writeHead(200, { 'Content-Encoding': encoding });
+            stream.pipe(compressor).pipe(res);
+        });
+
+        // Stop reading if the client goes away
+        res.on('close', () => {
+            stream.destroy();
+            compressor.destroy();
+        });
+    }
+
+    /**
+     * Serve an HTML page with the live reload client injected
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} filePath - Absolute file path
+     */
+    async serveHtmlWithLiveReload(req, res, filePath) {
+        let html;
+        try {
+            html = Buffer.from(this.liveReload.injectClient(await fs.promises.readFile(filePath, 'utf8')));
+        } catch (err) {
+            this.sendErrorPage(req, res, 500, 'Internal Server Error', `Error reading file: ${err.message}`);
+            return;
+        }
+
+        let encoding = this.getResponseEncoding(req, res, 'text/html', html.length);
+        let body = html;
+        if (encoding) {
+            try {
+                body = await compress(html, encoding);
+            } catch (err) {
+                // Still serve the page, just uncompressed
+                console.error(`❌ Error compressing ${filePath}: ${err.message}`);
+                encoding = null;
+            }
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/html',
+            'Content-Length': body.length,
+            ...(encoding && { 'Content-Encoding': encoding })
+        });
+        res.end(req.method === 'HEAD' ? undefined : body);
+        if (encoding) {
+            this.setLogDetails(res, {
+                compression: { originalSize: html.length, compressedSize: body.length, encoding }
+            });
+        }
+    }
+
+    /**
+     * Measure a request and log it once the response is finished
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    trackRequest(req, res) {
+        // Live reload connections stay open for the whole session
+        if (getPathname(req.url).startsWith('/__livereload')) {
+            return;
+        }
+
+        const tracked = { startTime: process.hrtime.bigint(), bytes: 0, details: {} };
+        this.requestLogs.set(res, tracked);
+
+        // Count body bytes as they are written
+        const write = res.write;
+        const end = res.end;
+        const count = (chunk, encoding) => {
+            if (chunk && typeof chunk !== 'function') {
+                tracked.bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, encoding);
+            }
+        };
+        res.write = function (chunk, encoding, ...rest) {
+            count(chunk, encoding);
+            return write.call(this, chunk, encoding, ...rest);
+        };
+        res.end = function (chunk, encoding, ...rest) {
+            count(chunk, encoding);
+            return end.call(this, chunk, encoding, ...rest);
+        };
+
+        let logged = false;
+        const onDone = () => {
+            if (logged) {
+                return;
+            }
+            logged = true;
+
+            this.logRequest(req, res.statusCode, {
+                ...tracked.details,
+                duration: Number(process.hrtime.bigint() - tracked.startTime) / 1e6,
+                bytes: tracked.bytes,
+                aborted: !res.writableFinished
+            });
+        };
+
+        res.on('finish', onDone);
+        res.on('close', onDone);
+    }
+
+    /**
+     * Attach extra information to a request's log entry
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} details - Details such as `compression` or `proxyTarget`
+     */
+    setLogDetails(res, details) {
+        const tracked = this.requestLogs.get(res);
+        if (tracked) {
+            Object.assign(tracked.details, details);
+        }
     }
 
     /**
      * Log HTTP requests
+     * @param {http.IncomingMessage} req - Request
+     * @param {number} statusCode - Response status code
+     * @param {Object} details - Extra information (optional)
+     * @param {number} details.duration - Response time (ms)
+     * @param {number} details.bytes - Body bytes sent
+     * @param {Object} details.compression - Sizes of a compressed response
+     * @param {string} details.proxyTarget - Upstream URL of a proxied request
      */
-    logRequest(req, statusCode) {
-        const timestamp = new Date().toLocaleString();
-        const method = req.method;
-        const url = req.url;
-        const status = statusCode;
-        
-        const statusEmoji = status === 200 ? '✅' : status === 404 ? '❌' : '⚠️';
-        console.log(`[${timestamp}] ${statusEmoji} ${method} ${url} - ${status}`);
+    logRequest(req, statusCode, details = {}) {
+        this.logger.log({
+            timestamp: new Date(),
+            method: req.method,
+            url: req.url,
+            httpVersion: req.httpVersion,
+            status: statusCode,
+            duration: details.duration || 0,
+            bytes: details.bytes || 0,
+            remoteAddress: req.socket && req.socket.remoteAddress,
+            userAgent: req.headers['user-agent'] || null,
+            referer: req.headers.referer || null,
+            proxyTarget: details.proxyTarget || null,
+            compression: details.compression || null,
+            aborted: details.aborted === true
+        });
     }
 
     /**
@@ -208,24 +787,114 @@ class DevServer {
         }, delay);
     }
 
+    /**
+     * Get the URL to open locally
+     * @returns {string} Local URL
+     */
+    getLocalUrl() {
+        const host = WILDCARD_HOSTS.includes(this.host) ? 'localhost' : this.host;
+        return this.formatUrl(host);
+    }
+
+    /**
+     * Get the URLs other devices on the network can use
+     * @returns {Array} Network URLs, empty when bound to a loopback host
+     */
+    getNetworkUrls() {
+        if (LOOPBACK_HOSTS.includes(this.host)) {
+            return [];
+        }
+
+        if (!WILDCARD_HOSTS.includes(this.host)) {
+            return [this.formatUrl(this.host)];
+        }
+
+        return getNetworkAddresses()
+            // 0.0.0.0 only listens on IPv4
+            .filter(({ family }) => this.host === '::' || family === 'IPv4')
+            // Link-local IPv6 addresses need a zone index, which browsers don't accept in URLs
+            .filter(({ address }) => !/^fe80:/i.test(address))
+            .map(({ address }) => this.formatUrl(address));
+    }
+
+    /**
+     * Build a server URL for a host
+     * @param {string} host - Host name or IP address
+     * @returns {string} URL
+     */
+    formatUrl(host) {
+        const protocol = this.https ? 'https' : 'http';
+        return `${protocol}://${host.includes(':') ? `[${host}]` : host}:${this.port}`;
+    }
+
+    /**
+     * Print a QR code to open a URL on a phone
+     * @param {string} url - URL to encode
+     */
+    printQrCode(url) {
+        console.log();
+        console.log(renderQrCode(url));
+        console.log(`   Scan to open ${url}`);
+        console.log();
+    }
+
     /**
      * Print server information
      */
     printServerInfo() {
+        const localUrl = this.getLocalUrl();
+
+        if (this.quiet) {
+            console.log(`🚀 Serving ${this.projectRoot} at ${localUrl}`);
+            const [networkUrl] = this.getNetworkUrls();
+            if (this.qr && networkUrl) {
+                this.printQrCode(networkUrl);
+            }
+            return;
+        }
+
         console.log('🚀 Monolithic Frontend Development Server');
         console.log('='.repeat(50));
         console.log(`📁 Serving directory: ${this.projectRoot}`);
-        console.log(`🌐 Local URL: http://localhost:${this.port}`);
-        console.log(`🔗 Network URL: http://127.0.0.1:${this.port}`);
+        console.log(`🌐 Local URL: ${localUrl}`);
+        const networkUrls = this.getNetworkUrls();
+        if (networkUrls.length > 0) {
+            networkUrls.forEach((url) => console.log(`🔗 Network URL: ${url}`));
+        } else if (LOOPBACK_HOSTS.includes(this.host)) {
+            console.log('🔗 Network URL: use --host 0.0.0.0 to allow access from other devices');
+        } else {
+            console.log('🔗 Network URL: no network interfaces found');
+        }
+        if (this.qr && networkUrls.length > 0) {
+            this.printQrCode(networkUrls[0]);
+        }
+        console.log(`⚙️  Mode: ${this.prod ? 'production (caching enabled)' : 'development'}`);
+        if (this.https) {
+            console.log(`🔒 HTTPS${this.http2 ? ' (HTTP/2)' : ''}: ${this.certificate.generated ? 'generated ' : ''}certificate ${this.certificate.source}`);
+            if (!this.keyFile) {
+                console.log('   Self-signed: accept the browser warning or add the certificate to your trust store');
+            }
+        }
+        if (this.proxy) {
+            this.proxy.rules.forEach((rule) => {
+                console.log(`🔀 Proxy: ${rule.context} → ${rule.target.href}`);
+            });
+        }
+        if (this.historyFallback) {
+            console.log(`🧭 History fallback: page routes serve ${this.historyFallback.index}`);
+        }
         console.log('='.repeat(50));
         console.log('📝 Quick Start:');
-        console.log(`   • Main page: http://localhost:${this.port}/`);
-        console.log(`   • About page: http://localhost:${this.port}/pages/about.html`);
-        console.log(`   • Services page: http://localhost:${this.port}/pages/services.html`);
-        console.log(`   • Contact page: http://localhost:${this.port}/pages/contact.html`);
+        Object.entries(this.quickStart).forEach(([label, pagePath]) => {
+            console.log(`   • ${label}: ${localUrl}${pagePath}`);
+        });
         console.log('='.repeat(50));
         console.log('🛠️  Development Tips:');
-        console.log('   • Edit files and refresh browser to see changes');
+        if (this.liveReload) {
+            console.log('   • Edit files and the browser reloads automatically');
+        } else {
+            console.log('   • Edit files and refresh browser to see changes');
+        }
         console.log('   • Use browser dev tools for debugging');
         console.log('   • Check console for JavaScript errors');
         console.log('   • Press Ctrl+C to stop the server');
@@ -246,56 +915,153 @@ class DevServer {
             this.port = await this.findAvailablePort(this.port);
 
             // Create server
-            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server = this.createServer();
+            this.trackConnections(this.server);
+            this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+            // Handle server errors
+            this.server.on('error', (err) => {
+                console.error(`❌ Server error: ${err.message}`);
+                process.exit(1);
+            });
+
+            // Watch files for live reload
+            if (this.liveReload) {
+                this.liveReload.start();
+            }
 
             // Start server
-            this.server.listen(this.port, () => {
-                this.printServerInfo();
+            await new Promise((resolve) => this.server.listen(this.port, this.host, resolve));
+
+            // Port 0 picks a free port
+            this.port = this.server.address().port;
+
+            this.printServerInfo();
+            if (!this.quiet) {
                 console.log(`✅ Server started successfully on port ${this.port}`);
                 console.log('   Press Ctrl+C to stop the server');
                 console.log();
+            }
 
-                // Open browser
-                this.openBrowser(`http://localhost:${this.port}`);
-            });
+            // Open browser
+            if (this.open) {
+                this.openBrowser(this.getLocalUrl());
+            }
 
-            // Handle server errors
-            this.server.on('error', (err) => {
-                console.error(`❌ Server error: ${err.message}`);
-                process.exit(1);
-            });
+            this.handleSignals();
 
-            // Handle graceful shutdown
-            process.on('SIGINT', () => {
-                console.log('\n🛑 Server stopped by user');
+        } catch (error) {
+            console.error(`❌ Error starting server: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    /**
+     * Shut down gracefully on Ctrl+C or SIGTERM
+     * A second signal while requests are draining exits immediately.
+     */
+    handleSignals() {
+        const shutdown = (signal) => {
+            console.log();
+            if (!this.quiet) {
+                this.logger.printSummary();
+            }
+            console.log(signal === 'SIGINT' ? '🛑 Server stopped by user' : `🛑 Received ${signal}, stopping server`);
+
+            this.stop().then(() => {
                 console.log('👋 Thanks for using the Monolithic Frontend Template!');
                 process.exit(0);
             });
+        };
 
-        } catch (error) {
-            console.error(`❌ Error starting server: ${error.message}`);
-            process.exit(1);
+        this.signalHandlers = {
+            SIGINT: () => shutdown('SIGINT'),
+            SIGTERM: () => shutdown('SIGTERM')
+        };
+        Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.once(signal, handler));
+    }
+
+    /**
+     * Stop the server
+     * New connections are refused, idle connections are closed and in-flight
+     * requests get up to `shutdownTimeout` ms to finish before their
+     * connections are destroyed.
+     * @returns {Promise} Resolves once all connections are closed
+     */
+    stop() {
+        if (this.stopping) {
+            return this.stopping;
+        }
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        if (this.signalHandlers) {
+            Object.entries(this.signalHandlers).forEach(([signal, handler]) => process.removeListener(signal, handler));
+            this.signalHandlers = null;
         }
+
+        // Also ends the open live reload event streams
+        if (this.liveReload) {
+            this.liveReload.stop();
+        }
+
+        const server = this.server;
+        this.stopping = new Promise((resolve) => {
+            const forceTimer = setTimeout(() => {
+                this.connections.forEach((inFlight, socket) => socket.destroy());
+                this.sessions.forEach((session) => session.destroy());
+            }, this.shutdownTimeout);
+            forceTimer.unref();
+
+            server.close(() => {
+                clearTimeout(forceTimer);
+                this.connections.clear();
+                this.sessions.clear();
+                this.server = null;
+                this.stopping = null;
+                resolve();
+            });
+
+            this.connections.forEach((inFlight, socket) => {
+                if (inFlight === 0) {
+                    socket.end();
+                }
+            });
+            this.sessions.forEach((session) => session.close());
+        });
+
+        return this.stopping;
     }
 }
 
 // Main execution
 function main() {
-    // Get port from command line arguments
-    let port = 8000;
-    const portArg = process.argv[2];
-    
-    if (portArg) {
-        const parsedPort = parseInt(portArg, 10);
-        if (isNaN(parsedPort) || parsedPort < 1 || parsedPort > 65535) {
-            console.log(`⚠️  Invalid port number: ${portArg}. Using default port 8000.`);
-        } else {
-            port = parsedPort;
-        }
+    // Merge defaults, config file, DEVSERVER_* variables and command line arguments
+    let options;
+    try {
+        options = resolveConfig({
+            argv: process.argv.slice(2),
+            env: process.env,
+            defaultRoot: __dirname
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('   Run with --help to see the available options.');
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(getHelpText());
+        return;
+    }
+
+    if (options.configFile && !options.quiet) {
+        console.log(`⚙️  Using config file: ${options.configFile}`);
     }
 
     // Create and start server
-    const devServer = new DevServer(port);
+    const devServer = new DevServer(options.port, options);
     devServer.start();
 }
 
@@ -304,11 +304,10 @@ class App {
       });
 
       // Subscribe to loading state changes
-      window.appState.subscribe((state, prevState) => {
-        if (state.loading !== prevState.loading) {
-          this.updateLoadingState(state.loading);
-        }
-      });
+      window.appState.subscribe(
+        (state) => state.loading,
+        (loading) => this.updateLoadingState(loading)
+      );
     }
   }
 
@@ -449,6 +448,10 @@ if (window.appState?.isDevelopment()) {
   window.dev = {
     app: window.app,
     state: window.appState,
+    undo: () => window.appState.undo(),
+    redo: () => window.appState.redo(),
+    jumpTo: (index) => window.appState.jumpTo(index),
+    history: () => window.appState.getHistory(),
     navigation: () => window.navigation,
     forms: () => window.formManager,
     notifications: () => window.notificationManager,
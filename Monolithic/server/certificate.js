@@ -0,0 +1,252 @@
+/**
+ * Self-Signed Certificates for the Monolithic Development Server
+ * Generates an ECDSA P-256 certificate for localhost and the machine's LAN
+ * addresses using only Node's crypto module, and caches it between runs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Where generated certificates are cached
+const CACHE_DIR = path.join(os.homedir(), '.monolithic-dev-server', 'certs');
+
+// Browsers reject certificates valid for more than 825 days; one year is plenty
+const VALIDITY_DAYS = 365;
+
+// Regenerate certificates that expire sooner than this
+const RENEW_BEFORE_DAYS = 7;
+
+// ASN.1 / DER encoding ------------------------------------------------------
+
+/**
+ * Encode a DER length
+ * @param {number} length - Content length
+ * @returns {Buffer}
+ */
+function encodeLength(length) {
+    if (length < 0x80) {
+        return Buffer.from([length]);
+    }
+
+    const bytes = [];
+    for (let value = length; value > 0; value >>= 8) {
+        bytes.unshift(value & 0xff);
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+/**
+ * Encode a DER tag-length-value
+ * @param {number} tag - Tag byte
+ * @param {...Buffer} contents - Content parts
+ * @returns {Buffer}
+ */
+function tlv(tag, ...contents) {
+    const content = Buffer.concat(contents);
+    return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set = (...items) => tlv(0x31, ...items);
+const utf8String = (value) => tlv(0x0c, Buffer.from(value, 'utf8'));
+const octetString = (value) => tlv(0x04, value);
+const bitString = (value) => tlv(0x03, Buffer.from([0]), value);
+const booleanValue = (value) => tlv(0x01, Buffer.from([value ? 0xff : 0]));
+const explicit = (number, value) => tlv(0xa0 + number, value);
+
+/**
+ * Encode a positive DER INTEGER
+ * @param {Buffer|number} value - Big-endian bytes or a small number
+ * @returns {Buffer}
+ */
+function integer(value) {
+    let bytes = Buffer.isBuffer(value) ? value : Buffer.from([value]);
+
+    // DER integers use the minimal number of bytes
+    while (bytes.length > 1 && bytes[0] === 0 && !(bytes[1] & 0x80)) {
+        bytes = bytes.subarray(1);
+    }
+
+    if (bytes[0] & 0x80) {
+        bytes = Buffer.concat([Buffer.from([0]), bytes]);
+    }
+    return tlv(0x02, bytes);
+}
+
+/**
+ * Encode a DER OBJECT IDENTIFIER
+ * @param {string} oid - Dotted OID (e.g. "2.5.4.3")
+ * @returns {Buffer}
+ */
+function objectIdentifier(oid) {
+    const [first, second, ...rest] = oid.split('.').map(Number);
+    const bytes = [first * 40 + second];
+
+    rest.forEach((value) => {
+        const chunk = [value & 0x7f];
+        for (value >>= 7; value > 0; value >>= 7) {
+            chunk.unshift(0x80 | (value & 0x7f));
+        }
+        bytes.push(...chunk);
+    });
+
+    return tlv(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encode a DER UTCTime
+ * @param {Date} date - Date before 2050
+ * @returns {Buffer}
+ */
+function utcTime(date) {
+    const value = date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z';
+    return tlv(0x17, Buffer.from(value, 'ascii'));
+}
+
+// Certificate ---------------------------------------------------------------
+
+const OID = {
+    commonName: '2.5.4.3',
+    organizationName: '2.5.4.10',
+    ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+    subjectAltName: '2.5.29.17',
+    basicConstraints: '2.5.29.19',
+    keyUsage: '2.5.29.15',
+    extKeyUsage: '2.5.29.37',
+    serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+/**
+ * Encode the subject alternative names
+ * @param {Array} hosts - Host names and IP addresses
+ * @returns {Buffer}
+ */
+function subjectAltNames(hosts) {
+    const names = hosts.map((host) => {
+        if (net.isIPv4(host)) {
+            return tlv(0x87, Buffer.from(host.split('.').map(Number)));
+        }
+
+        if (net.isIPv6(host)) {
+            return tlv(0x87, ipv6ToBuffer(host));
+        }
+
+        return tlv(0x82, Buffer.from(host, 'ascii'));
+    });
+
+    return sequence(...names);
+}
+
+/**
+ * Convert an IPv6 address to its 16 bytes
+ * @param {string} address - IPv6 address (may be abbreviated with ::)
+ * @returns {Buffer}
+ */
+function ipv6ToBuffer(address) {
+    const [head, tail = ''] = address.split('%')[0].split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = address.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+    const groups = [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+
+    const buffer = Buffer.alloc(16);
+    groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16), index * 2));
+    return buffer;
+}
+
+/**
+ * Generate a self-signed certificate
+ * @param {Array} hosts - Host names and IP addresses the certificate is valid for
+ * @returns {Object} `{ key, cert, hosts, expires }` with PEM encoded key and certificate
+ */
+function generateCertificate(hosts) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+    const name = sequence(
+        set(sequence(objectIdentifier(OID.organizationName), utf8String('Monolithic Frontend Template'))),
+        set(sequence(objectIdentifier(OID.commonName), utf8String('Monolithic Dev Server')))
+    );
+
+    const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+    const notAfter = new Date(Date.now() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    const signatureAlgorithm = sequence(objectIdentifier(OID.ecdsaWithSHA256));
+
+    const extensions = sequence(
+        sequence(objectIdentifier(OID.subjectAltName), octetString(subjectAltNames(hosts))),
+        sequence(objectIdentifier(OID.basicConstraints), booleanValue(true), octetString(sequence())),
+        // digitalSignature
+        sequence(objectIdentifier(OID.keyUsage), booleanValue(true), octetString(tlv(0x03, Buffer.from([7, 0x80])))),
+        sequence(objectIdentifier(OID.extKeyUsage), octetString(sequence(objectIdentifier(OID.serverAuth))))
+    );
+
+    const tbsCertificate = sequence(
+        explicit(0, integer(2)),
+        integer(crypto.randomBytes(16)),
+        signatureAlgorithm,
+        name,
+        sequence(utcTime(notBefore), utcTime(notAfter)),
+        name,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        explicit(3, extensions)
+    );
+
+    const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    const certificate = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+
+    const base64 = certificate.toString('base64').match(/.{1,64}/g).join('\n');
+
+    return {
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+        hosts,
+        expires: notAfter.toISOString()
+    };
+}
+
+/**
+ * Get a cached self-signed certificate, generating a new one when the
+ * cached one is missing, expiring or doesn't cover all hosts
+ * @param {Array} hosts - Host names and IP addresses
+ * @param {string} cacheDir - Cache directory
+ * @returns {Object} `{ key, cert, generated, path }`
+ */
+function getSelfSignedCertificate(hosts, cacheDir = CACHE_DIR) {
+    const keyPath = path.join(cacheDir, 'key.pem');
+    const certPath = path.join(cacheDir, 'cert.pem');
+    const metaPath = path.join(cacheDir, 'meta.json');
+
+    try {
+        const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+        const renewAt = Date.parse(meta.expires) - RENEW_BEFORE_DAYS * 24 * 60 * 60 * 1000;
+        const coversHosts = hosts.every((host) => meta.hosts.includes(host));
+
+        if (coversHosts && Date.now() < renewAt) {
+            return {
+                key: fs.readFileSync(keyPath),
+                cert: fs.readFileSync(certPath),
+                generated: false,
+                path: certPath
+            };
+        }
+    } catch {
+        // No usable cached certificate
+    }
+
+    const { key, cert, expires } = generateCertificate(hosts);
+
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(keyPath, key, { mode: 0o600 });
+    fs.writeFileSync(certPath, cert);
+    fs.writeFileSync(metaPath, JSON.stringify({ hosts, expires }, null, 2));
+
+    return { key, cert, generated: true, path: certPath };
+}
+
+module.exports = {
+    CACHE_DIR,
+    generateCertificate,
+    getSelfSignedCertificate
+};
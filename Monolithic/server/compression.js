@@ -0,0 +1,153 @@
+/**
+ * Response Compression for the Monolithic Development Server
+ * Negotiates Accept-Encoding and compresses text responses with brotli or
+ * gzip. Files are compressed while they are streamed; small files are also
+ * cached compressed until they change on disk.
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const compressors = {
+    br: promisify(zlib.brotliCompress),
+    gzip: promisify(zlib.gzip)
+};
+
+// Preferred encoding first
+const SUPPORTED_ENCODINGS = ['br', 'gzip'];
+
+// Non-text MIME types that still compress well
+const COMPRESSIBLE_TYPES = new Set(['application/javascript', 'application/json', 'image/svg+xml']);
+
+// Files smaller than this are not worth compressing (bytes)
+const MIN_SIZE = 1024;
+
+// Larger files are compressed on every request instead of cached (bytes)
+const MAX_CACHED_SIZE = 1024 * 1024;
+
+/**
+ * Check if a MIME type should be compressed
+ * @param {string} mimeType - MIME type
+ * @returns {boolean}
+ */
+function isCompressible(mimeType) {
+    return mimeType.startsWith('text/') || COMPRESSIBLE_TYPES.has(mimeType);
+}
+
+/**
+ * Pick the best supported encoding from an Accept-Encoding header
+ * @param {string} header - Accept-Encoding header value
+ * @returns {string|null} 'br', 'gzip' or null for identity
+ */
+function negotiateEncoding(header) {
+    if (!header) {
+        return null;
+    }
+
+    const accepted = new Map();
+    header.split(',').forEach((part) => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const qParam = params.find((param) => param.trim().startsWith('q='));
+        const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+        accepted.set(name, isNaN(quality) ? 0 : quality);
+    });
+
+    let best = null;
+    let bestQuality = 0;
+
+    for (const encoding of SUPPORTED_ENCODINGS) {
+        const quality = accepted.has(encoding) ? accepted.get(encoding) : accepted.get('*') || 0;
+        if (quality > bestQuality) {
+            best = encoding;
+            bestQuality = quality;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Compress a buffer
+ * @param {Buffer|string} data - Data to compress
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Promise<Buffer>} Compressed data
+ */
+function compress(data, encoding) {
+    return compressors[encoding](data);
+}
+
+/**
+ * Create a compressing stream
+ * Brotli uses a lower quality than the buffered compressor, the maximum is
+ * too slow to keep up with a stream.
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {zlib.BrotliCompress|zlib.Gzip} Transform stream
+ */
+function createCompressStream(encoding) {
+    if (encoding === 'br') {
+        return zlib.createBrotliCompress({
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+        });
+    }
+    return zlib.createGzip();
+}
+
+class CompressionCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Check if a file is small enough to be cached
+     * @param {fs.Stats} stats - File stats
+     * @returns {boolean}
+     */
+    isCacheable(stats) {
+        return stats.size <= MAX_CACHED_SIZE;
+    }
+
+    /**
+     * Get the cached compressed copy of a file
+     * @param {string} filePath - Absolute file path
+     * @param {fs.Stats} stats - Current file stats
+     * @param {string} encoding - 'br' or 'gzip'
+     * @returns {Buffer|null} Compressed contents, or null if missing or outdated
+     */
+    get(filePath, stats, encoding) {
+        const cached = this.entries.get(`${encoding}:${filePath}`);
+
+        if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+            return cached.data;
+        }
+        return null;
+    }
+
+    /**
+     * Cache the compressed copy of a file
+     * @param {string} filePath - Absolute file path
+     * @param {fs.Stats} stats - File stats the copy was made from
+     * @param {string} encoding - 'br' or 'gzip'
+     * @param {Buffer} data - Compressed contents
+     */
+    set(filePath, stats, encoding, data) {
+        if (this.isCacheable(stats)) {
+            this.entries.set(`${encoding}:${filePath}`, { mtimeMs: stats.mtimeMs, size: stats.size, data });
+        }
+    }
+
+    /**
+     * Drop all cached files
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+module.exports = {
+    MIN_SIZE,
+    CompressionCache,
+    compress,
+    createCompressStream,
+    isCompressible,
+    negotiateEncoding
+};
@@ -0,0 +1,344 @@
+/**
+ * Configuration for the Monolithic Development Server
+ * Merges defaults, devserver.config.js / devserver.config.json, environment
+ * variables and command line arguments (in increasing priority). The --help
+ * output is generated from the option schema below.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Looked up in this order when --config is not given
+const CONFIG_FILES = ['devserver.config.js', 'devserver.config.json'];
+
+// Prefix for environment variable overrides (e.g. DEVSERVER_PORT=3000)
+const ENV_PREFIX = 'DEVSERVER_';
+
+/**
+ * Options available on the command line, in environment variables and in
+ * the config file. Config files may additionally set `proxy`,
+ * `requiredFiles`, `quickStart`, `watchPaths`, `logMaxSize`, `logMaxFiles`,
+ * `shutdownTimeout` and an object form of `historyFallback`.
+ */
+const OPTION_SCHEMA = [
+    { name: 'port', alias: 'p', type: 'number', default: 8000, description: 'Port to listen on (the next free port is used if taken)' },
+    { name: 'host', alias: 'H', type: 'string', default: 'localhost', description: 'Host to bind to (0.0.0.0 to allow LAN access)' },
+    { name: 'root', alias: 'r', type: 'string', default: null, description: 'Directory to serve (defaults to the template directory)' },
+    { name: 'open', type: 'boolean', default: true, description: 'Open the browser on start (--no-open to disable)' },
+    { name: 'qr', type: 'boolean', default: false, description: 'Print a QR code of the network URL' },
+    { name: 'https', type: 'boolean', default: false, description: 'Serve over HTTPS with a self-signed certificate' },
+    { name: 'key', type: 'string', default: null, description: 'TLS private key file to use instead of the self-signed one' },
+    { name: 'cert', type: 'string', default: null, description: 'TLS certificate file to use instead of the self-signed one' },
+    { name: 'http2', type: 'boolean', default: true, description: 'Use HTTP/2 (with HTTP/1.1 fallback) for HTTPS' },
+    { name: 'quiet', alias: 'q', type: 'boolean', default: false, description: 'Only log errors' },
+    { name: 'prod', type: 'boolean', default: false, description: 'Production mode: caching, ETag/304, no live reload' },
+    { name: 'live-reload', type: 'boolean', default: true, description: 'Reload the browser when files change' },
+    { name: 'compression', type: 'boolean', default: true, description: 'Compress text responses with brotli or gzip' },
+    { name: 'history-fallback', type: 'boolean', default: false, description: 'Serve index.html for client-side routes' },
+    { name: 'log-format', type: 'string', default: 'pretty', choices: ['pretty', 'combined', 'json'], description: 'Request log format' },
+    { name: 'log-file', type: 'string', default: null, description: 'Also write the request log to this file (rotated at 10 MB)' },
+    { name: 'config', alias: 'c', type: 'string', default: null, cliOnly: true, description: 'Path to a config file' },
+    { name: 'help', alias: 'h', type: 'boolean', default: false, cliOnly: true, description: 'Show this help' }
+];
+
+/**
+ * Convert an option name to its config key ("live-reload" → "liveReload")
+ * @param {string} name - Option name
+ * @returns {string} Config key
+ */
+function toKey(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Convert an option name to its environment variable ("live-reload" → "DEVSERVER_LIVE_RELOAD")
+ * @param {string} name - Option name
+ * @returns {string} Environment variable name
+ */
+function toEnvName(name) {
+    return ENV_PREFIX + name.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * Convert a raw string to an option's type
+ * @param {Object} option - Schema entry
+ * @param {string} raw - Raw value
+ * @param {string} source - Where the value came from (for error messages)
+ * @returns {*} Typed value
+ */
+function coerce(option, raw, source) {
+    if (option.type === 'boolean') {
+        if (raw === true || raw === false) {
+            return raw;
+        }
+        if (/^(true|1|yes|on)$/i.test(raw)) {
+            return true;
+        }
+        if (/^(false|0|no|off)$/i.test(raw)) {
+            return false;
+        }
+        throw new Error(`${source} expects true or false, got "${raw}"`);
+    }
+
+    if (option.type === 'number') {
+        const value = Number(raw);
+        if (raw === '' || !Number.isInteger(value)) {
+            throw new Error(`${source} expects a number, got "${raw}"`);
+        }
+        return value;
+    }
+
+    const value = String(raw);
+    if (option.choices && !option.choices.includes(value)) {
+        throw new Error(`${source} must be one of ${option.choices.join(', ')}, got "${value}"`);
+    }
+    return value;
+}
+
+/**
+ * Parse command line arguments
+ * A bare number is accepted as the port for backwards compatibility.
+ * @param {Array} argv - Arguments without the node and script paths
+ * @returns {Object} Parsed option values keyed by config key
+ */
+function parseArgs(argv) {
+    const values = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('-')) {
+            if (values.port !== undefined) {
+                throw new Error(`Unexpected argument "${arg}"`);
+            }
+            values.port = coerce(OPTION_SCHEMA[0], arg, 'Port');
+            continue;
+        }
+
+        let [flag, inlineValue] = arg.split(/=(.*)/s);
+        let negated = false;
+
+        if (flag.startsWith('--no-')) {
+            flag = `--${flag.slice(5)}`;
+            negated = true;
+        }
+
+        const option = flag.startsWith('--')
+            ? OPTION_SCHEMA.find((entry) => entry.name === flag.slice(2))
+            : OPTION_SCHEMA.find((entry) => entry.alias === flag.slice(1));
+
+        if (!option || (negated && option.type !== 'boolean')) {
+            throw new Error(`Unknown option "${arg}"`);
+        }
+
+        const source = `--${option.name}`;
+        let value;
+
+        if (option.type === 'boolean') {
+            value = inlineValue !== undefined ? coerce(option, inlineValue, source) : true;
+            if (negated) {
+                value = !value;
+            }
+        } else {
+            const raw = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (raw === undefined) {
+                throw new Error(`${source} needs a value`);
+            }
+            value = coerce(option, raw, source);
+        }
+
+        values[toKey(option.name)] = value;
+    }
+
+    return values;
+}
+
+/**
+ * Read option overrides from environment variables
+ * @param {Object} env - Environment (usually process.env)
+ * @returns {Object} Option values keyed by config key
+ */
+function readEnv(env) {
+    const values = {};
+
+    OPTION_SCHEMA.filter((option) => !option.cliOnly).forEach((option) => {
+        const envName = toEnvName(option.name);
+        if (env[envName] !== undefined && env[envName] !== '') {
+            values[toKey(option.name)] = coerce(option, env[envName], envName);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Check and convert the schema options set in a config file
+ * Other keys (proxy, watchPaths...) are passed through as is.
+ * @param {Object} config - Loaded config
+ * @param {string} file - Config file path (for error messages)
+ * @returns {Object} Option values keyed by config key
+ */
+function readConfigFile(config, file) {
+    const values = { ...config };
+
+    OPTION_SCHEMA.filter((option) => !option.cliOnly).forEach((option) => {
+        const key = toKey(option.name);
+        const value = values[key];
+        if (value === undefined || value === null) {
+            return;
+        }
+        // historyFallback can be an object with rewrites
+        if (key === 'historyFallback' && typeof value === 'object') {
+            return;
+        }
+        if (typeof value === 'object' || typeof value === 'function') {
+            throw new Error(`${key} in ${file} expects a ${option.type}`);
+        }
+        values[key] = coerce(option, value, `${key} in ${file}`);
+    });
+
+    return values;
+}
+
+/**
+ * Load a development server config file
+ * @param {string} directory - Directory to look in
+ * @param {string} explicitPath - Config file given with --config (optional)
+ * @returns {Object} `{ config, file }`, config is empty if there is no file
+ */
+function loadConfigFile(directory, explicitPath = null) {
+    const candidates = explicitPath
+        ? [path.resolve(explicitPath)]
+        : CONFIG_FILES.map((file) => path.join(directory, file));
+
+    for (const configPath of candidates) {
+        if (!fs.existsSync(configPath)) {
+            continue;
+        }
+
+        try {
+            // JSON files are loaded through require as well
+            const config = require(configPath);
+            return { config: config.default || config, file: configPath };
+        } catch (error) {
+            throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+        }
+    }
+
+    if (explicitPath) {
+        throw new Error(`Config file not found: ${explicitPath}`);
+    }
+
+    return { config: {}, file: null };
+}
+
+/**
+ * Resolve the final server options
+ * Priority: command line > environment variables > config file > defaults.
+ * @param {Object} params
+ * @param {Array} params.argv - Command line arguments
+ * @param {Object} params.env - Environment variables
+ * @param {string} params.defaultRoot - Root used when none is configured
+ * @returns {Object} Server options (`help` is true when --help was passed)
+ */
+function resolveConfig({ argv = [], env = {}, defaultRoot }) {
+    const cliValues = parseArgs(argv);
+
+    const options = {};
+    OPTION_SCHEMA.forEach((option) => {
+        options[toKey(option.name)] = option.default;
+    });
+
+    // --help works even when the environment or config file is broken
+    if (cliValues.help) {
+        return { ...options, help: true };
+    }
+
+    const envValues = readEnv(env);
+    const { config, file } = loadConfigFile(defaultRoot, cliValues.config);
+
+    // Paths in the config file are relative to the file itself
+    const fileValues = readConfigFile(config, file);
+    ['root', 'key', 'cert', 'logFile'].forEach((key) => {
+        if (fileValues[key]) {
+            fileValues[key] = path.resolve(path.dirname(file), fileValues[key]);
+        }
+    });
+
+    [fileValues, envValues, cliValues].forEach((values) => {
+        Object.entries(values).forEach(([key, value]) => {
+            // A plain flag keeps a detailed config object (e.g. historyFallback rewrites)
+            if (value === true && typeof options[key] === 'object' && options[key] !== null) {
+                return;
+            }
+            options[key] = value;
+        });
+    });
+
+    // Command line and environment paths are relative to the working directory
+    options.root = options.root ? path.resolve(options.root) : defaultRoot;
+    ['key', 'cert', 'logFile'].forEach((key) => {
+        if (options[key]) {
+            options[key] = path.resolve(options[key]);
+        }
+    });
+    options.configFile = file;
+
+    if (options.port < 0 || options.port > 65535) {
+        throw new Error(`Invalid port number: ${options.port}`);
+    }
+
+    return options;
+}
+
+/**
+ * Build the --help text from the option schema
+ * @returns {string} Help text
+ */
+function getHelpText() {
+    const rows = OPTION_SCHEMA.map((option) => {
+        const flags = [
+            option.alias ? `-${option.alias},` : '   ',
+            `--${option.name}${option.type === 'boolean' ? '' : ` <${option.choices ? option.choices.join('|') : option.type}>`}`
+        ].join(' ');
+
+        const details = [];
+        const hasDefault = option.type === 'boolean' ? option.default === true : option.default !== null;
+        if (hasDefault) {
+            details.push(`default: ${option.default}`);
+        }
+        if (!option.cliOnly) {
+            details.push(`env: ${toEnvName(option.name)}`);
+        }
+
+        return {
+            flags,
+            description: option.description + (details.length ? ` (${details.join(', ')})` : '')
+        };
+    });
+
+    const width = Math.max(...rows.map((row) => row.flags.length)) + 2;
+
+    return [
+        'Monolithic Frontend Development Server',
+        '',
+        'Usage:',
+        '  node dev-server.js [port] [options]',
+        '',
+        'Options:',
+        ...rows.map((row) => `  ${row.flags.padEnd(width)}${row.description}`),
+        '',
+        `Config file: ${CONFIG_FILES.join(' or ')} in the project root, or --config <path>.`,
+        'It accepts every option above plus proxy, requiredFiles, quickStart, watchPaths,',
+        'logMaxSize, logMaxFiles and shutdownTimeout.'
+    ].join('\n');
+}
+
+module.exports = {
+    OPTION_SCHEMA,
+    getHelpText,
+    loadConfigFile,
+    parseArgs,
+    readEnv,
+    resolveConfig
+};
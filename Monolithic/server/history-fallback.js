@@ -0,0 +1,75 @@
+/**
+ * History API Fallback for the Monolithic Development Server
+ * Serves index.html for client-side routes like /services so a hard refresh
+ * on a clean URL doesn't end on the 404 page.
+ */
+
+const path = require('path');
+
+class HistoryFallback {
+    /**
+     * @param {Object} options - Fallback options
+     * @param {string} options.index - Document served for client-side routes
+     * @param {Array} options.rewrites - `{ from, to }` rules checked in order; `from` is a
+     *   RegExp or path prefix, `to` a path or a function receiving the RegExp match
+     * @param {Array} options.exclude - RegExps or path prefixes that never fall back
+     */
+    constructor(options = {}) {
+        this.index = options.index || '/index.html';
+        this.rewrites = options.rewrites || [];
+        this.exclude = ['/__livereload', ...(options.exclude || [])];
+    }
+
+    /**
+     * Check if a rule matches a pathname
+     * @param {RegExp|string} rule - RegExp or path prefix
+     * @param {string} pathname - Request pathname
+     * @returns {Array|null} Match result
+     */
+    match(rule, pathname) {
+        if (rule instanceof RegExp) {
+            return rule.exec(pathname);
+        }
+        return pathname === rule || pathname.startsWith(rule.endsWith('/') ? rule : `${rule}/`)
+            ? [pathname]
+            : null;
+    }
+
+    /**
+     * Get the document to serve instead of a missing file
+     * @param {http.IncomingMessage} req - Request
+     * @param {string} pathname - Request pathname
+     * @returns {string|null} Path to serve, or null to keep the 404
+     */
+    resolve(req, pathname) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return null;
+        }
+
+        // Only page navigations, not scripts or fetch calls
+        const accept = req.headers.accept || '';
+        if (!accept.includes('text/html')) {
+            return null;
+        }
+
+        if (this.exclude.some((rule) => this.match(rule, pathname))) {
+            return null;
+        }
+
+        for (const rewrite of this.rewrites) {
+            const match = this.match(rewrite.from, pathname);
+            if (match) {
+                return typeof rewrite.to === 'function' ? rewrite.to(match, req) : rewrite.to;
+            }
+        }
+
+        // Paths with an extension are real (missing) files
+        if (path.posix.extname(pathname) !== '') {
+            return null;
+        }
+
+        return this.index;
+    }
+}
+
+module.exports = HistoryFallback;
@@ -0,0 +1,115 @@
+/**
+ * HTTP Caching Helpers for the Monolithic Development Server
+ * Validators (ETag / Last-Modified), conditional request checks and
+ * byte range parsing used when serving static files.
+ */
+
+/**
+ * Create an ETag from file stats
+ * @param {fs.Stats} stats - File stats
+ * @returns {string} Quoted ETag value
+ */
+function createETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Parse a comma separated list of ETags
+ * @param {string} header - If-None-Match / If-Match header value
+ * @returns {Array} ETags without weak prefixes
+ */
+function parseETagList(header) {
+    return header
+        .split(',')
+        .map((tag) => tag.trim().replace(/^W\//, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Check if the client's cached copy is still fresh (answer with 304)
+ * If-None-Match takes precedence over If-Modified-Since.
+ * @param {http.IncomingHttpHeaders} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {Date} lastModified - Current modification date
+ * @returns {boolean}
+ */
+function isFresh(headers, etag, lastModified) {
+    const ifNoneMatch = headers['if-none-match'];
+    if (ifNoneMatch) {
+        const tags = parseETagList(ifNoneMatch);
+        return tags.includes('*') || tags.includes(etag);
+    }
+
+    const ifModifiedSince = headers['if-modified-since'];
+    if (ifModifiedSince) {
+        const since = Date.parse(ifModifiedSince);
+        // HTTP dates have one second precision
+        return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+    }
+
+    return false;
+}
+
+/**
+ * Check if an If-Range precondition allows a partial response
+ * @param {http.IncomingHttpHeaders} headers - Request headers
+ * @param {string} etag - Current ETag
+ * @param {Date} lastModified - Current modification date
+ * @returns {boolean}
+ */
+function isRangeFresh(headers, etag, lastModified) {
+    const ifRange = headers['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange === etag;
+    }
+
+    const since = Date.parse(ifRange);
+    return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+}
+
+/**
+ * Parse a Range header for a single byte range
+ * Multiple ranges are not supported and are answered with the full file.
+ * @param {string} header - Range header value (e.g. "bytes=0-499")
+ * @param {number} size - File size in bytes
+ * @returns {Object|null|number} `{ start, end }`, null to ignore the header, or -1 if unsatisfiable
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(match[2], 10);
+        if (suffixLength === 0) {
+            return -1;
+        }
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start > end || start >= size) {
+        return -1;
+    }
+
+    return { start, end };
+}
+
+module.exports = {
+    createETag,
+    isFresh,
+    isRangeFresh,
+    parseRange
+};
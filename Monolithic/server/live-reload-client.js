@@ -0,0 +1,59 @@
+/**
+ * Live Reload Client
+ * Injected into HTML pages by the development server. Swaps stylesheets in
+ * place when CSS changes and reloads the page for everything else.
+ */
+
+(function () {
+  if (!window.EventSource) {
+    console.warn("Live reload is not supported in this browser");
+    return;
+  }
+
+  const source = new EventSource("/__livereload");
+
+  /**
+   * Replace a stylesheet link with a cache-busted copy
+   * @param {HTMLLinkElement} link - Stylesheet link element
+   */
+  const refreshStylesheet = (link) => {
+    const url = new URL(link.href);
+    url.searchParams.set("livereload", Date.now());
+
+    // Remove the old sheet only once the new one has loaded to avoid a flash of unstyled content
+    const clone = link.cloneNode();
+    clone.href = url.href;
+    clone.addEventListener("load", () => link.remove());
+    clone.addEventListener("error", () => link.remove());
+    link.after(clone);
+  };
+
+  /**
+   * Refresh stylesheets affected by a change
+   * @param {Array} paths - Changed file paths relative to the project root
+   */
+  const refreshStylesheets = (paths) => {
+    const links = Array.from(
+      document.querySelectorAll('link[rel="stylesheet"]')
+    ).filter((link) => new URL(link.href).origin === window.location.origin);
+
+    const changed = links.filter((link) =>
+      paths.some((path) => new URL(link.href).pathname === `/${path}`)
+    );
+
+    // Fall back to refreshing every local sheet (e.g. for @import-ed files)
+    (changed.length > 0 ? changed : links).forEach(refreshStylesheet);
+  };
+
+  source.addEventListener("change", (event) => {
+    const { type, paths } = JSON.parse(event.data);
+
+    if (type === "css") {
+      console.log("[live reload] Updating styles:", paths.join(", "));
+      refreshStylesheets(paths);
+    } else {
+      console.log("[live reload] Reloading page:", paths.join(", "));
+      window.location.reload();
+    }
+  });
+})();
@@ -0,0 +1,244 @@
+/**
+ * Live Reload for the Monolithic Development Server
+ * Watches project files and pushes change events to connected browsers
+ * over Server-Sent Events.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Endpoints handled by the live reload server
+const EVENTS_PATH = '/__livereload';
+const CLIENT_PATH = '/__livereload.js';
+
+// Directories that are never watched
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+class LiveReload {
+    /**
+     * @param {string} projectRoot - Directory the watch paths are relative to
+     * @param {Object} options - Live reload options
+     * @param {Array} options.watchPaths - Files and directories to watch
+     * @param {number} options.debounce - Delay used to group rapid changes (ms)
+     * @param {boolean} options.quiet - Don't log changes
+     */
+    constructor(projectRoot, options = {}) {
+        this.projectRoot = projectRoot;
+        this.watchPaths = options.watchPaths || ['index.html', 'assets', 'src', 'pages', 'public'];
+        this.debounce = options.debounce || 100;
+        this.quiet = options.quiet === true;
+
+        this.clients = new Set();
+        this.watchers = new Map();
+        this.pendingChanges = new Set();
+        this.debounceTimer = null;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Start watching the configured paths
+     */
+    start() {
+        for (const watchPath of this.watchPaths) {
+            const fullPath = path.join(this.projectRoot, watchPath);
+            if (!fs.existsSync(fullPath)) {
+                continue;
+            }
+
+            if (fs.statSync(fullPath).isDirectory()) {
+                this.watchDirectory(fullPath);
+            } else {
+                // Watch the parent directory so editors that replace files on save are still picked up
+                this.watchDirectory(path.dirname(fullPath), path.basename(fullPath));
+            }
+        }
+
+        // Keep idle connections alive through proxies
+        this.heartbeatTimer = setInterval(() => {
+            this.clients.forEach((client) => client.write(': ping\n\n'));
+        }, 30000);
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * Watch a directory and its subdirectories
+     * @param {string} directory - Absolute directory path
+     * @param {string} onlyFile - Restrict events to a single file name (non-recursive)
+     */
+    watchDirectory(directory, onlyFile = null) {
+        const key = onlyFile ? path.join(directory, onlyFile) : directory;
+        if (this.watchers.has(key)) {
+            return;
+        }
+
+        try {
+            const watcher = fs.watch(directory, (eventType, filename) => {
+                if (!filename || (onlyFile && filename.toString() !== onlyFile)) {
+                    return;
+                }
+                this.handleChange(path.join(directory, filename.toString()), !onlyFile);
+            });
+            watcher.on('error', () => this.unwatch(key));
+            this.watchers.set(key, watcher);
+        } catch (error) {
+            console.warn(`⚠️  Unable to watch ${path.relative(this.projectRoot, directory)}: ${error.message}`);
+            return;
+        }
+
+        if (onlyFile) {
+            return;
+        }
+
+        fs.readdirSync(directory, { withFileTypes: true }).forEach((entry) => {
+            if (entry.isDirectory() && !this.isIgnored(entry.name)) {
+                this.watchDirectory(path.join(directory, entry.name));
+            }
+        });
+    }
+
+    /**
+     * Stop watching a path
+     * @param {string} key - Watched path
+     */
+    unwatch(key) {
+        const watcher = this.watchers.get(key);
+        if (watcher) {
+            watcher.close();
+            this.watchers.delete(key);
+        }
+    }
+
+    /**
+     * Check if a directory name should be skipped
+     * @param {string} name - Directory name
+     * @returns {boolean}
+     */
+    isIgnored(name) {
+        return IGNORED_DIRECTORIES.has(name) || name.startsWith('.');
+    }
+
+    /**
+     * Queue a changed path and notify clients once changes settle
+     * @param {string} fullPath - Absolute path of the changed file
+     * @param {boolean} recursive - Whether new subdirectories should be watched
+     */
+    handleChange(fullPath, recursive) {
+        fs.stat(fullPath, (err, stats) => {
+            if (!err && stats.isDirectory()) {
+                if (recursive && !this.isIgnored(path.basename(fullPath))) {
+                    this.watchDirectory(fullPath);
+                }
+                return;
+            }
+
+            this.pendingChanges.add(path.relative(this.projectRoot, fullPath).split(path.sep).join('/'));
+
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.flushChanges(), this.debounce);
+        });
+    }
+
+    /**
+     * Broadcast queued changes to connected browsers
+     */
+    flushChanges() {
+        const paths = Array.from(this.pendingChanges);
+        this.pendingChanges.clear();
+
+        if (paths.length === 0) {
+            return;
+        }
+
+        // Stylesheets can be swapped in place, anything else needs a full reload
+        const cssOnly = paths.every((file) => path.extname(file).toLowerCase() === '.css');
+        const type = cssOnly ? 'css' : 'reload';
+
+        if (!this.quiet) {
+            console.log(`🔄 ${cssOnly ? 'Updated styles' : 'Reloading'}: ${paths.join(', ')}`);
+        }
+        this.broadcast('change', { type, paths });
+    }
+
+    /**
+     * Send an event to all connected browsers
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     */
+    broadcast(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        this.clients.forEach((client) => client.write(message));
+    }
+
+    /**
+     * Handle live reload requests
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {string} pathname - Request pathname
+     * @returns {boolean} Whether the request was handled
+     */
+    handleRequest(req, res, pathname) {
+        if (pathname === EVENTS_PATH) {
+            const headers = {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache'
+            };
+            // Connection headers are not allowed in HTTP/2
+            if (req.httpVersionMajor < 2) {
+                headers['Connection'] = 'keep-alive';
+            }
+            res.writeHead(200, headers);
+            res.write('retry: 1000\n\n');
+
+            this.clients.add(res);
+            req.on('close', () => this.clients.delete(res));
+            return true;
+        }
+
+        if (pathname === CLIENT_PATH) {
+            fs.readFile(path.join(__dirname, 'live-reload-client.js'), (err, data) => {
+                if (err) {
+                    res.writeHead(500, { 'Content-Type': 'text/plain' });
+                    res.end('Live reload client not found');
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/javascript' });
+                res.end(data);
+            });
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Inject the live reload client into an HTML document
+     * @param {string} html - HTML document
+     * @returns {string} HTML with the client script tag
+     */
+    injectClient(html) {
+        const tag = `<script src="${CLIENT_PATH}"></script>`;
+        const bodyEnd = html.lastIndexOf('</body>');
+
+        if (bodyEnd === -1) {
+            return html + tag;
+        }
+
+        return html.slice(0, bodyEnd) + tag + '\n' + html.slice(bodyEnd);
+    }
+
+    /**
+     * Stop watching and disconnect all browsers
+     */
+    stop() {
+        clearTimeout(this.debounceTimer);
+        clearInterval(this.heartbeatTimer);
+
+        this.watchers.forEach((watcher) => watcher.close());
+        this.watchers.clear();
+
+        this.clients.forEach((client) => client.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = LiveReload;
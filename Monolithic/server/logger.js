@@ -0,0 +1,271 @@
+/**
+ * Access Logging for the Monolithic Development Server
+ * Formats request log entries (pretty, Apache combined or JSON lines),
+ * optionally appends them to a rotating log file and keeps statistics for
+ * the summary printed on shutdown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a byte count for logs
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Format a duration for logs
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    return ms < 1000 ? `${ms.toFixed(1)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+/**
+ * Format a date as in Apache logs (e.g. "10/Oct/2024:13:55:36 +0200")
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatClfDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const zone = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+
+    return `${pad(date.getDate())}/${MONTHS[date.getMonth()]}/${date.getFullYear()}:` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${zone}`;
+}
+
+/**
+ * Built-in log formats
+ * Each receives a log entry and returns one line of text.
+ */
+const formats = {
+    pretty(entry) {
+        const { status } = entry;
+        const statusEmoji = status < 400 ? '✅' : status === 404 ? '❌' : '⚠️';
+        const timestamp = entry.timestamp.toLocaleString();
+
+        let line = entry.proxyTarget
+            ? `[${timestamp}] 🔀 ${entry.method} ${entry.url} → ${entry.proxyTarget} - ${status}${status >= 400 ? ` ${statusEmoji}` : ''}`
+            : `[${timestamp}] ${statusEmoji} ${entry.method} ${entry.url} - ${status}`;
+
+        line += ` ${formatDuration(entry.duration)}`;
+
+        if (entry.compression) {
+            const { originalSize, compressedSize, encoding } = entry.compression;
+            const saved = Math.round((1 - compressedSize / originalSize) * 100);
+            line += ` (${formatBytes(originalSize)} → ${formatBytes(compressedSize)} ${encoding}, -${saved}%)`;
+        } else if (entry.bytes > 0) {
+            line += ` ${formatBytes(entry.bytes)}`;
+        }
+
+        if (entry.aborted) {
+            line += ' (aborted)';
+        }
+
+        return line;
+    },
+
+    // Apache combined log format, followed by the response time in milliseconds
+    combined(entry) {
+        const quote = (value) => (value ? `"${String(value).replace(/"/g, '\\"')}"` : '"-"');
+        const request = `${entry.method} ${entry.url} HTTP/${entry.httpVersion}`;
+
+        return `${entry.remoteAddress || '-'} - - [${formatClfDate(entry.timestamp)}] ${quote(request)} ` +
+            `${entry.status} ${entry.bytes || '-'} ${quote(entry.referer)} ${quote(entry.userAgent)} ` +
+            `${Math.round(entry.duration)}`;
+    },
+
+    json(entry) {
+        return JSON.stringify({
+            ...entry,
+            timestamp: entry.timestamp.toISOString(),
+            duration: Math.round(entry.duration * 100) / 100
+        });
+    }
+};
+
+class RotatingFile {
+    /**
+     * @param {string} filePath - Log file path
+     * @param {Object} options - Rotation options
+     * @param {number} options.maxSize - Rotate when the file grows beyond this (bytes)
+     * @param {number} options.maxFiles - Number of rotated files kept (file.1 … file.N)
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = path.resolve(filePath);
+        this.maxSize = options.maxSize || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    }
+
+    /**
+     * Append a line, rotating the file first if it is full
+     * @param {string} line - Line without trailing newline
+     */
+    write(line) {
+        const data = `${line}\n`;
+        const length = Buffer.byteLength(data);
+
+        if (this.size > 0 && this.size + length > this.maxSize) {
+            this.rotate();
+        }
+
+        fs.appendFileSync(this.filePath, data);
+        this.size += length;
+    }
+
+    /**
+     * Shift file → file.1 → file.2 …, dropping the oldest
+     */
+    rotate() {
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.filePath}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.filePath}.${index + 1}`);
+            }
+        }
+
+        const oldest = `${this.filePath}.${this.maxFiles + 1}`;
+        if (fs.existsSync(oldest)) {
+            fs.unlinkSync(oldest);
+        }
+
+        fs.renameSync(this.filePath, `${this.filePath}.1`);
+        this.size = 0;
+    }
+}
+
+class AccessLogger {
+    /**
+     * @param {Object} options - Logger options
+     * @param {string|Function} options.format - 'pretty', 'combined', 'json' or a function (entry) => string
+     * @param {string} options.file - Also append entries to this file (optional)
+     * @param {string|Function} options.fileFormat - Format for the log file (default: json for json, combined otherwise)
+     * @param {number} options.maxSize - Rotate the log file at this size (bytes)
+     * @param {number} options.maxFiles - Number of rotated log files kept
+     * @param {boolean} options.quiet - Only print errors to the console
+     */
+    constructor(options = {}) {
+        this.format = this.getFormatter(options.format || 'pretty');
+        this.quiet = options.quiet === true;
+
+        const fileFormat = options.fileFormat || (options.format === 'json' ? 'json' : 'combined');
+        this.fileFormat = this.getFormatter(fileFormat);
+        this.file = options.file
+            ? new RotatingFile(options.file, { maxSize: options.maxSize, maxFiles: options.maxFiles })
+            : null;
+
+        this.stats = {
+            total: 0,
+            totalDuration: 0,
+            byStatus: new Map(),
+            byPath: new Map()
+        };
+    }
+
+    /**
+     * Get a formatter by name
+     * @param {string|Function} format - Format name or custom formatter
+     * @returns {Function} Formatter
+     */
+    getFormatter(format) {
+        if (typeof format === 'function') {
+            return format;
+        }
+
+        if (!formats[format]) {
+            throw new Error(`Unknown log format "${format}" (use ${Object.keys(formats).join(', ')})`);
+        }
+
+        return formats[format];
+    }
+
+    /**
+     * Log a request
+     * @param {Object} entry - Log entry
+     */
+    log(entry) {
+        this.record(entry);
+
+        if (!this.quiet || entry.status >= 400) {
+            console.log(this.format(entry));
+        }
+
+        if (this.file) {
+            try {
+                this.file.write(this.fileFormat(entry));
+            } catch (error) {
+                console.error(`❌ Could not write log file: ${error.message}`);
+                this.file = null;
+            }
+        }
+    }
+
+    /**
+     * Update request statistics
+     * @param {Object} entry - Log entry
+     */
+    record(entry) {
+        const { stats } = this;
+        stats.total++;
+        stats.totalDuration += entry.duration;
+        stats.byStatus.set(entry.status, (stats.byStatus.get(entry.status) || 0) + 1);
+
+        const pathname = entry.url.split('?')[0];
+        const pathStats = stats.byPath.get(pathname) || { count: 0, totalDuration: 0, maxDuration: 0 };
+        pathStats.count++;
+        pathStats.totalDuration += entry.duration;
+        pathStats.maxDuration = Math.max(pathStats.maxDuration, entry.duration);
+        stats.byPath.set(pathname, pathStats);
+    }
+
+    /**
+     * Print requests by status and the slowest paths
+     * @param {number} limit - Number of slow paths to list
+     */
+    printSummary(limit = 5) {
+        const { stats } = this;
+        if (stats.total === 0) {
+            return;
+        }
+
+        console.log('📊 Request Summary');
+        console.log('='.repeat(50));
+        console.log(`   Total requests: ${stats.total} (average ${formatDuration(stats.totalDuration / stats.total)})`);
+
+        console.log('   By status:');
+        Array.from(stats.byStatus.entries())
+            .sort(([a], [b]) => a - b)
+            .forEach(([status, count]) => console.log(`     ${status}  ${String(count).padStart(6)}`));
+
+        console.log('   Slowest paths (average):');
+        Array.from(stats.byPath.entries())
+            .map(([pathname, pathStats]) => ({ pathname, ...pathStats, average: pathStats.totalDuration / pathStats.count }))
+            .sort((a, b) => b.average - a.average)
+            .slice(0, limit)
+            .forEach(({ pathname, count, average, maxDuration }) => {
+                console.log(`     ${formatDuration(average).padStart(9)}  ${pathname} (${count} requests, max ${formatDuration(maxDuration)})`);
+            });
+        console.log('='.repeat(50));
+    }
+}
+
+module.exports = {
+    AccessLogger,
+    RotatingFile,
+    formats
+};
@@ -0,0 +1,29 @@
+/**
+ * Network Helpers for the Monolithic Development Server
+ */
+
+const os = require('os');
+
+/**
+ * Get the addresses of all non-internal network interfaces
+ * @returns {Array} `{ name, address, family }` entries, IPv4 first
+ */
+function getNetworkAddresses() {
+    const addresses = [];
+
+    Object.entries(os.networkInterfaces()).forEach(([name, entries]) => {
+        (entries || []).forEach((entry) => {
+            // Node 18.0-18.3 reports the family as a number
+            const family = entry.family === 4 || entry.family === 'IPv4' ? 'IPv4' : 'IPv6';
+            if (!entry.internal) {
+                addresses.push({ name, address: entry.address, family });
+            }
+        });
+    });
+
+    return addresses.sort((a, b) => (a.family === b.family ? 0 : a.family === 'IPv4' ? -1 : 1));
+}
+
+module.exports = {
+    getNetworkAddresses
+};
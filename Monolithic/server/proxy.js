@@ -0,0 +1,263 @@
+/**
+ * Development Proxy for the Monolithic Development Server
+ * Forwards matching requests (e.g. /api) to a backend so the frontend can
+ * call it from the same origin without CORS problems.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Hop-by-hop headers must not be forwarded (RFC 7230, section 6.1)
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+class DevProxy {
+    /**
+     * @param {Object} table - Proxy table mapping path prefixes to a target URL or rule object:
+     *   { '/api': 'http://localhost:4000' }
+     *   { '/api': { target, changeOrigin, pathRewrite, ws, headers } }
+     */
+    constructor(table = {}) {
+        this.rules = Object.entries(table)
+            .map(([context, rule]) => this.normalizeRule(context, rule))
+            // Longest prefix wins
+            .sort((a, b) => b.context.length - a.context.length);
+    }
+
+    /**
+     * Normalize a proxy table entry
+     * @param {string} context - Path prefix
+     * @param {string|Object} rule - Target URL or rule object
+     * @returns {Object} Normalized rule
+     */
+    normalizeRule(context, rule) {
+        const options = typeof rule === 'string' ? { target: rule } : rule;
+        if (!options || !options.target) {
+            throw new Error(`Proxy rule for "${context}" needs a target`);
+        }
+
+        return {
+            context,
+            target: new URL(options.target),
+            changeOrigin: options.changeOrigin !== false,
+            pathRewrite: options.pathRewrite || null,
+            ws: options.ws !== false,
+            headers: options.headers || {}
+        };
+    }
+
+    /**
+     * Find the rule for a request path
+     * @param {string} pathname - Request pathname
+     * @returns {Object|null} Matching rule
+     */
+    match(pathname) {
+        return this.rules.find((rule) =>
+            pathname === rule.context ||
+            pathname.startsWith(rule.context.endsWith('/') ? rule.context : `${rule.context}/`)
+        ) || null;
+    }
+
+    /**
+     * Apply the rule's path rewrite
+     * @param {Object} rule - Proxy rule
+     * @param {string} requestPath - Request path including query string
+     * @returns {string} Rewritten path
+     */
+    rewritePath(rule, requestPath) {
+        if (!rule.pathRewrite) {
+            return requestPath;
+        }
+
+        if (typeof rule.pathRewrite === 'function') {
+            return rule.pathRewrite(requestPath);
+        }
+
+        return Object.entries(rule.pathRewrite).reduce(
+            (rewritten, [pattern, replacement]) => rewritten.replace(new RegExp(pattern), replacement),
+            requestPath
+        );
+    }
+
+    /**
+     * Build the options for the upstream request
+     * @param {http.IncomingMessage} req - Incoming request
+     * @param {Object} rule - Proxy rule
+     * @returns {Object} Options for http(s).request plus the target URL string
+     */
+    createRequestOptions(req, rule) {
+        const { target } = rule;
+        const basePath = target.pathname.replace(/\/$/, '');
+        const upstreamPath = basePath + this.rewritePath(rule, req.url);
+
+        const headers = { ...req.headers, ...rule.headers };
+        HOP_BY_HOP_HEADERS.forEach((header) => delete headers[header]);
+
+        // HTTP/2 pseudo headers (:method, :path, :authority, ...) are not valid in HTTP/1.1
+        const clientHost = req.headers.host || req.headers[':authority'];
+        Object.keys(headers)
+            .filter((header) => header.startsWith(':'))
+            .forEach((header) => delete headers[header]);
+
+        headers.host = rule.changeOrigin ? target.host : clientHost;
+
+        const remoteAddress = req.socket.remoteAddress;
+        headers['x-forwarded-for'] = req.headers['x-forwarded-for']
+            ? `${req.headers['x-forwarded-for']}, ${remoteAddress}`
+            : remoteAddress;
+        headers['x-forwarded-host'] = clientHost;
+        headers['x-forwarded-proto'] = req.socket.encrypted ? 'https' : 'http';
+
+        return {
+            protocol: target.protocol === 'wss:' ? 'https:' : target.protocol === 'ws:' ? 'http:' : target.protocol,
+            hostname: target.hostname,
+            port: target.port,
+            method: req.method,
+            path: upstreamPath,
+            headers,
+            targetUrl: `${target.origin}${upstreamPath}`
+        };
+    }
+
+    /**
+     * Forward an HTTP request, streaming both bodies
+     * @param {http.IncomingMessage} req - Incoming request
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} rule - Matching proxy rule
+     * @param {Function} onDone - Called with (statusCode, targetUrl, error) once the response ends
+     */
+    web(req, res, rule, onDone) {
+        const { targetUrl, ...options } = this.createRequestOptions(req, rule);
+        const transport = options.protocol === 'https:' ? https : http;
+
+        const proxyReq = transport.request(options, (proxyRes) => {
+            // Node re-applies chunked encoding itself when there is no Content-Length
+            const headers = { ...proxyRes.headers };
+            HOP_BY_HOP_HEADERS.forEach((header) => delete headers[header]);
+
+            // HTTP/2 has no status messages
+            if (req.httpVersionMajor < 2) {
+                res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, headers);
+            } else {
+                res.writeHead(proxyRes.statusCode, headers);
+            }
+            proxyRes.pipe(res);
+            proxyRes.on('end', () => onDone(proxyRes.statusCode, targetUrl));
+
+            // The backend went away mid-body: close the client connection
+            // too instead of leaving it waiting for the rest
+            let failed = false;
+            const onAbort = (err) => {
+                if (failed) {
+                    return;
+                }
+                failed = true;
+                res.destroy();
+                onDone(proxyRes.statusCode, targetUrl, err || new Error('Upstream response aborted'));
+            };
+            proxyRes.on('aborted', () => onAbort());
+            proxyRes.on('error', onAbort);
+        });
+
+        proxyReq.on('error', (err) => {
+            if (!res.headersSent) {
+                res.writeHead(502, { 'Content-Type': 'text/plain' });
+                res.end(`Proxy error: could not reach ${targetUrl} (${err.message})`);
+            } else {
+                res.destroy(err);
+            }
+            onDone(502, targetUrl, err);
+        });
+
+        // Abort the upstream request if the browser goes away
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                proxyReq.destroy();
+            }
+        });
+
+        req.pipe(proxyReq);
+    }
+
+    /**
+     * Forward a WebSocket upgrade request
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     * @param {Object} rule - Matching proxy rule
+     * @param {Function} onDone - Called with (statusCode, targetUrl, error) once the upgrade settles
+     */
+    ws(req, socket, head, rule, onDone) {
+        const { targetUrl, ...options } = this.createRequestOptions(req, rule);
+        const transport = options.protocol === 'https:' ? https : http;
+
+        // Keep the headers that negotiate the upgrade
+        options.headers.connection = 'Upgrade';
+        options.headers.upgrade = req.headers.upgrade;
+
+        const proxyReq = transport.request(options);
+        let upstream = null;
+
+        // The client can reset the connection at any point, even mid-handshake
+        socket.on('error', () => {
+            proxyReq.destroy();
+            if (upstream) {
+                upstream.destroy();
+            }
+            socket.destroy();
+        });
+
+        proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+            upstream = proxySocket;
+
+            const lines = [`HTTP/1.1 101 ${proxyRes.statusMessage || 'Switching Protocols'}`];
+            for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+                lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+            }
+            socket.write(lines.join('\r\n') + '\r\n\r\n');
+
+            if (proxyHead && proxyHead.length) {
+                socket.write(proxyHead);
+            }
+            if (head && head.length) {
+                proxySocket.write(head);
+            }
+
+            proxySocket.on('error', () => socket.destroy());
+            proxySocket.pipe(socket).pipe(proxySocket);
+            onDone(101, targetUrl);
+        });
+
+        // Backend refused the upgrade: relay its response as is
+        proxyReq.on('response', (proxyRes) => {
+            const lines = [`HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage}`, 'Connection: close'];
+            for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+                if (!HOP_BY_HOP_HEADERS.includes(proxyRes.rawHeaders[i].toLowerCase())) {
+                    lines.push(`${proxyRes.rawHeaders[i]}: ${proxyRes.rawHeaders[i + 1]}`);
+                }
+            }
+            socket.write(lines.join('\r\n') + '\r\n\r\n');
+            proxyRes.pipe(socket);
+            onDone(proxyRes.statusCode, targetUrl);
+        });
+
+        proxyReq.on('error', (err) => {
+            if (!socket.destroyed) {
+                socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+            }
+            onDone(502, targetUrl, err);
+        });
+
+        proxyReq.end();
+    }
+}
+
+module.exports = DevProxy;
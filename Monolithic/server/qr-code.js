@@ -0,0 +1,445 @@
+/**
+ * Terminal QR Codes for the Monolithic Development Server
+ * A small QR code encoder (byte mode, error correction level L, versions
+ * 1-10) so the network URL can be scanned with a phone without installing
+ * any dependencies.
+ */
+
+// Error correction level L, indexed by version:
+// [error correction codewords per block, [block count, data codewords per block], ...]
+const BLOCK_LAYOUT = [
+    null,
+    [7, [1, 19]],
+    [10, [1, 34]],
+    [15, [1, 55]],
+    [20, [1, 80]],
+    [26, [1, 108]],
+    [18, [2, 68]],
+    [20, [2, 78]],
+    [24, [2, 97]],
+    [30, [2, 116]],
+    [18, [2, 68], [2, 69]]
+];
+
+// Row / column centers of the alignment patterns, indexed by version
+const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Format information bits for error correction level L
+const EC_LEVEL_L = 1;
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// Reed-Solomon ---------------------------------------------------------------
+
+const EXP = new Array(512);
+const LOG = new Array(256);
+
+for (let i = 0, value = 1; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) {
+        value ^= 0x11d;
+    }
+}
+for (let i = 255; i < 512; i++) {
+    EXP[i] = EXP[i - 255];
+}
+
+const multiply = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+
+/**
+ * Compute the error correction codewords for a block
+ * @param {Array} data - Data codewords
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array} Error correction codewords
+ */
+function reedSolomon(data, degree) {
+    let generator = [1];
+    for (let i = 0; i < degree; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coefficient, j) => {
+            next[j] ^= coefficient;
+            next[j + 1] ^= multiply(coefficient, EXP[i]);
+        });
+        generator = next;
+    }
+
+    const remainder = data.concat(new Array(degree).fill(0));
+    for (let i = 0; i < data.length; i++) {
+        const factor = remainder[i];
+        if (factor) {
+            generator.forEach((coefficient, j) => {
+                remainder[i + j] ^= multiply(coefficient, factor);
+            });
+        }
+    }
+
+    return remainder.slice(data.length);
+}
+
+// Encoding -------------------------------------------------------------------
+
+/**
+ * Encode text into interleaved data and error correction codewords
+ * @param {Buffer} bytes - UTF-8 bytes
+ * @returns {Object} `{ version, codewords }`
+ */
+function encodeCodewords(bytes) {
+    let version = 1;
+    let layout;
+    let capacity;
+
+    for (; version < BLOCK_LAYOUT.length; version++) {
+        layout = BLOCK_LAYOUT[version];
+        capacity = layout.slice(1).reduce((sum, [count, size]) => sum + count * size, 0);
+        const countBits = version < 10 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= capacity * 8) {
+            break;
+        }
+    }
+
+    if (version === BLOCK_LAYOUT.length) {
+        throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    // Mode indicator, character count and data
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((byte) => push(byte, 8));
+
+    // Terminator, byte alignment and padding
+    push(0, Math.min(4, capacity * 8 - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) {
+        data.push(pad);
+    }
+
+    // Split into blocks and interleave
+    const [ecLength, ...groups] = layout;
+    const blocks = [];
+    let offset = 0;
+    groups.forEach(([count, size]) => {
+        for (let i = 0; i < count; i++) {
+            const blockData = data.slice(offset, offset + size);
+            blocks.push({ data: blockData, ec: reedSolomon(blockData, ecLength) });
+            offset += size;
+        }
+    });
+
+    const codewords = [];
+    const longest = Math.max(...blocks.map((block) => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach((block) => {
+            if (i < block.data.length) {
+                codewords.push(block.data[i]);
+            }
+        });
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach((block) => codewords.push(block.ec[i]));
+    }
+
+    return { version, codewords };
+}
+
+// Matrix ---------------------------------------------------------------------
+
+class QrMatrix {
+    /**
+     * @param {number} version - QR code version (1-10)
+     */
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+    }
+
+    /**
+     * Set a function module (finder, timing, alignment, format or version)
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {boolean} dark - Module color
+     */
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const { size } = this;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = centerX + dx;
+                    const y = centerY + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        this.setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder pattern
+        const positions = ALIGNMENT_POSITIONS[this.version];
+        const last = positions.length - 1;
+        positions.forEach((centerY, row) => {
+            positions.forEach((centerX, column) => {
+                if ((row === 0 && column === 0) || (row === 0 && column === last) || (row === last && column === 0)) {
+                    return;
+                }
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas, they are drawn once the mask is known
+        this.drawFormatBits(0);
+
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            }
+            const bits = (this.version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunction(a, b, dark);
+                this.setFunction(b, a, dark);
+            }
+        }
+    }
+
+    /**
+     * Draw both copies of the format information
+     * @param {number} mask - Mask pattern (0-7)
+     */
+    drawFormatBits(mask) {
+        const { size } = this;
+        const data = (EC_LEVEL_L << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) {
+            this.setFunction(8, i, bit(i));
+        }
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunction(14 - i, 8, bit(i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            this.setFunction(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunction(8, size - 15 + i, bit(i));
+        }
+        this.setFunction(8, size - 8, true);
+    }
+
+    /**
+     * Place the codewords in the zigzag pattern
+     * @param {Array} codewords - Interleaved codewords
+     */
+    drawCodewords(codewords) {
+        const { size } = this;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // Skip the vertical timing pattern
+            if (right === 6) {
+                right = 5;
+            }
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!this.reserved[y][x] && index < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Invert the data modules selected by a mask pattern
+     * @param {number} mask - Mask pattern (0-7)
+     */
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Score how hard the matrix is to scan (lower is better)
+     * @returns {number} Penalty
+     */
+    getPenalty() {
+        const { size, modules } = this;
+        let penalty = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map((row) => row[i]));
+        }
+
+        // Runs of five or more modules of the same color
+        lines.forEach((line) => {
+            let run = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) {
+                    penalty += run - 2;
+                }
+                run = 1;
+            }
+
+            // Patterns that look like finder patterns
+            const text = line.map((module) => (module ? '1' : '0')).join('');
+            penalty += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+        });
+
+        // 2x2 blocks of the same color
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) {
+                    dark++;
+                }
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        // Imbalance of dark and light modules
+        const total = size * size;
+        penalty += 10 * Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+
+        return penalty;
+    }
+}
+
+/**
+ * Generate a QR code
+ * @param {string} text - Text to encode (usually a URL)
+ * @returns {Array} Rows of booleans, true for dark modules
+ */
+function generateQrCode(text) {
+    const { version, codewords } = encodeCodewords(Buffer.from(text, 'utf8'));
+
+    let best = null;
+    let bestPenalty = Infinity;
+
+    MASKS.forEach((maskFunction, mask) => {
+        const matrix = new QrMatrix(version);
+        matrix.drawCodewords(codewords);
+        matrix.applyMask(mask);
+        matrix.drawFormatBits(mask);
+
+        const penalty = matrix.getPenalty();
+        if (penalty < bestPenalty) {
+            best = matrix;
+            bestPenalty = penalty;
+        }
+    });
+
+    return best.modules;
+}
+
+/**
+ * Render a QR code for the terminal
+ * Two rows of modules are drawn per line using half blocks, in black on
+ * white so it scans regardless of the terminal's color scheme.
+ * @param {string} text - Text to encode
+ * @param {Object} options - Render options
+ * @param {number} options.margin - Quiet zone around the code (modules)
+ * @returns {string} Lines of the QR code
+ */
+function renderQrCode(text, options = {}) {
+    const margin = options.margin !== undefined ? options.margin : 2;
+    const modules = generateQrCode(text);
+    const size = modules.length;
+    const isDark = (x, y) => x >= 0 && y >= 0 && x < size && y < size && modules[y][x];
+
+    const lines = [];
+    for (let y = -margin; y < size + margin; y += 2) {
+        let line = '';
+        for (let x = -margin; x < size + margin; x++) {
+            const top = isDark(x, y);
+            const bottom = isDark(x, y + 1);
+            line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+        }
+        lines.push(`\x1b[30;47m${line}\x1b[0m`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    generateQrCode,
+    renderQrCode
+};
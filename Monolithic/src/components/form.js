@@ -1,14 +1,216 @@
 /**
  * Form Component
  * Handles form validation, submission, and data management
+ *
+ * Validators are called as validator(value, element, context), where context
+ * holds the form `values`, an AbortSignal (`signal`), `formId` and
+ * `fieldName`. They return true or an error message, or a promise of one.
  */
 
+// Input types whose min, max and step are numbers
+const NUMERIC_INPUT_TYPES = ["number", "range"];
+
+// Default validators usable in data-validate="..."
+const DECLARATIVE_VALIDATORS = [
+  "required",
+  "email",
+  "url",
+  "phone",
+  "number",
+  "date",
+];
+
+// Responses worth retrying: the server or a gateway is temporarily down
+const RETRY_STATUSES = [502, 503, 504];
+
+// Methods that are safe to send again after the server answered
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"];
+
+// Client errors that may pass later, so queued submissions are kept
+const TRANSIENT_CLIENT_STATUSES = [408, 429];
+
+/**
+ * A submission the server rejected
+ */
+class FormSubmitError extends Error {
+  /**
+   * @param {string} message - Message shown to the user
+   * @param {Object} details - Error details
+   * @param {number} details.status - HTTP status (0 for network errors)
+   * @param {Object} details.fieldErrors - Field name → messages, for 422 responses
+   * @param {*} details.body - Parsed response body
+   */
+  constructor(message, { status = 0, fieldErrors = null, body = null } = {}) {
+    super(message);
+    this.name = "FormSubmitError";
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.body = body;
+  }
+}
+
+/**
+ * Submissions made while offline, kept in IndexedDB until they are sent
+ */
+class SubmissionQueue {
+  constructor(dbName = "monolithic-forms", storeName = "submissions") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request in a transaction
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} createRequest - Receives the object store, returns a request
+   * @returns {Promise} Request result
+   */
+  async run(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  add(entry) {
+    return this.run("readwrite", (store) => store.add(entry));
+  }
+
+  // Oldest first
+  getAll() {
+    return this.run("readonly", (store) => store.getAll());
+  }
+
+  remove(id) {
+    return this.run("readwrite", (store) => store.delete(id));
+  }
+}
+
+/**
+ * Create a key identifying one submission across retries
+ * @returns {string}
+ */
+function createIdempotencyKey() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Compare field values (arrays by their items)
+ * @param {*} a - Field value
+ * @param {*} b - Field value
+ * @returns {boolean}
+ */
+function fieldValuesEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+  }
+  return Object.is(a, b);
+}
+
+/**
+ * Append a form value the way a browser submits it
+ * Arrays add one entry per item, unchecked checkboxes (false) and empty
+ * file inputs add none and checked ones add "on".
+ * @param {FormData|URLSearchParams} target - Body being built
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ */
+function appendFormValue(target, name, value) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => appendFormValue(target, name, item));
+  } else if (value === true) {
+    target.append(name, "on");
+  } else if (value !== false && value !== null && value !== undefined) {
+    target.append(name, value);
+  }
+}
+
+/**
+ * Replace a validator's error message
+ * @param {Function} validator - Validator function
+ * @param {string|null} message - Message to show instead (none keeps the validator's)
+ * @returns {Function} Validator
+ */
+function withMessage(validator, message) {
+  if (!message) return validator;
+
+  const replace = (result) => (result === true ? true : message);
+  return (value, element, context) => {
+    const result = validator(value, element, context);
+    return result && typeof result.then === "function"
+      ? result.then(replace)
+      : replace(result);
+  };
+}
+
+/**
+ * Wait before validating, resolving early when the validation is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise}
+ */
+function waitForValidation(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
 class FormManager {
   constructor() {
     this.forms = new Map();
     this.validators = new Map();
     this.defaultValidators = this.getDefaultValidators();
 
+    // Form elements with listeners, so registering again doesn't rebind
+    this.boundForms = new WeakSet();
+
+    // Submissions made while offline, sent when the connection returns
+    this.queue =
+      typeof indexedDB !== "undefined" ? new SubmissionQueue() : null;
+    this.flushing = null;
+    this.handleOnline = () => this.flushQueue();
+
+    // Drafts of unsaved changes, see saveDraft()
+    this.draftStorage = null;
+    this.handleBeforeUnload = (e) => {
+      if (this.hasUnsavedChanges()) {
+        e.preventDefault();
+        e.returnValue = "";
+      }
+    };
+
     this.init();
   }
 
@@ -25,8 +227,318 @@ class FormManager {
          console.warn("Form found without ID, skipping registration:", form);
        }
      });
+
+     // Send submissions queued while offline
+     window.addEventListener("online", this.handleOnline);
+     if (navigator.onLine !== false) {
+       this.flushQueue();
+     }
+
+     // Ask before leaving unsaved changes
+     window.addEventListener("beforeunload", this.handleBeforeUnload);
+     if (window.navigation && window.navigation.addGuard) {
+       this.removeNavigationGuard = window.navigation.addGuard(
+         (section, currentSection) =>
+           !this.hasUnsavedChanges(currentSection) ||
+           window.confirm("You have unsaved changes. Leave anyway?")
+       );
+     }
    }
 
+  /**
+   * Render a form from a schema and register it
+   *
+   *   formManager.createForm("#contact", {
+   *     id: "quoteForm",
+   *     submitLabel: "Request a quote",
+   *     fields: [
+   *       { name: "name", label: "Full Name", required: true, minLength: 2 },
+   *       { name: "email", type: "email", label: "Email", required: true },
+   *       {
+   *         name: "contactBy",
+   *         type: "radio",
+   *         label: "Contact me by",
+   *         options: ["email", "phone"],
+   *         default: "email",
+   *       },
+   *       {
+   *         name: "phone",
+   *         type: "tel",
+   *         label: "Phone",
+   *         required: true,
+   *         showIf: { field: "contactBy", equals: "phone" },
+   *       },
+   *     ],
+   *     options: { onSubmit: async (data) => api.post("/quotes", data) },
+   *   });
+   *
+   * Field types: text, email, tel, url, number, date, password, textarea,
+   * select, radio, checkbox (a group when it has options). Fields take a
+   * label, help, placeholder, default, options (strings or
+   * { value, label }), the constraints required, minLength, maxLength, min,
+   * max, step and pattern, validate (as data-validate), messages (rule →
+   * message, as data-error-<rule>) and showIf.
+   *
+   * @param {HTMLElement|string} container - Element or selector to render into
+   * @param {Object} schema - Form schema
+   * @param {string} schema.id - Form ID
+   * @param {Array} schema.fields - Field definitions
+   * @param {string} schema.submitLabel - Submit button text (default: "Submit")
+   * @param {string} schema.className - Form class (default: "contact-form")
+   * @param {Object} schema.options - Options for registerForm()
+   * @returns {HTMLFormElement} The registered form
+   */
+  createForm(container, schema) {
+    const target =
+      typeof container === "string"
+        ? document.querySelector(container)
+        : container;
+    if (!target) {
+      throw new Error(`Form container not found: ${container}`);
+    }
+    if (!schema || !schema.id) {
+      throw new Error("Form schema needs an id");
+    }
+
+    const form = document.createElement("form");
+    form.id = schema.id;
+    form.className = schema.className || "contact-form";
+
+    (schema.fields || []).forEach((fieldSchema) => {
+      form.appendChild(this.renderField(schema.id, fieldSchema));
+    });
+
+    const submitBtn = document.createElement("button");
+    submitBtn.type = "submit";
+    submitBtn.className = "btn btn-primary";
+    submitBtn.textContent = schema.submitLabel || "Submit";
+    form.appendChild(submitBtn);
+
+    target.appendChild(form);
+    this.registerForm(form, schema.options || {});
+
+    // Conditions need the registered fields
+    const config = this.forms.get(schema.id);
+    (schema.fields || []).forEach((fieldSchema) => {
+      if (fieldSchema.showIf && config.fields.has(fieldSchema.name)) {
+        config.fields.get(fieldSchema.name).showIf = fieldSchema.showIf;
+      }
+    });
+    this.updateConditionalFields(schema.id);
+
+    return form;
+  }
+
+  /**
+   * Render one field of a form schema
+   * @param {string} formId - Form ID, prefixes the element IDs
+   * @param {Object} fieldSchema - Field definition (see createForm)
+   * @returns {HTMLElement} Form group with label, control, help and error container
+   */
+  renderField(formId, fieldSchema) {
+    const type = fieldSchema.type || "text";
+    const id = `${formId}-${fieldSchema.name}`;
+    const options = (fieldSchema.options || []).map((option) =>
+      typeof option === "object" ? option : { value: option, label: option }
+    );
+    const isGroup =
+      type === "radio" || (type === "checkbox" && options.length > 0);
+    const labelText =
+      (fieldSchema.label || fieldSchema.name) +
+      (fieldSchema.required ? " *" : "");
+
+    const group = document.createElement(isGroup ? "fieldset" : "div");
+    group.className = "form-group";
+
+    // Constraints become attributes, validated like hand-written markup
+    const applyConstraints = (element) => {
+      const attributes = {
+        minlength: fieldSchema.minLength,
+        maxlength: fieldSchema.maxLength,
+        min: fieldSchema.min,
+        max: fieldSchema.max,
+        step: fieldSchema.step,
+        pattern: fieldSchema.pattern,
+        placeholder: fieldSchema.placeholder,
+        "data-validate": fieldSchema.validate,
+      };
+      Object.entries(fieldSchema.messages || {}).forEach(([rule, message]) => {
+        attributes[`data-error-${rule.toLowerCase()}`] = message;
+      });
+      Object.entries(attributes).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) {
+          element.setAttribute(name, value);
+        }
+      });
+      element.name = fieldSchema.name;
+      element.required = fieldSchema.required === true;
+    };
+
+    const describedBy = [];
+    let help = null;
+    if (fieldSchema.help) {
+      help = document.createElement("small");
+      help.className = "form-help";
+      help.id = `${id}-help`;
+      help.textContent = fieldSchema.help;
+      describedBy.push(help.id);
+    }
+
+    const errorElement = document.createElement("div");
+    errorElement.className = "error-message";
+    errorElement.id = `${id}-error`;
+    errorElement.setAttribute("data-error-for", fieldSchema.name);
+    errorElement.setAttribute("aria-live", "polite");
+    describedBy.push(errorElement.id);
+
+    if (isGroup) {
+      const legend = document.createElement("legend");
+      legend.textContent = labelText;
+      group.appendChild(legend);
+
+      const defaults = [].concat(
+        fieldSchema.default !== undefined ? fieldSchema.default : []
+      );
+      options.forEach((option, index) => {
+        const label = document.createElement("label");
+        label.className = "form-option";
+
+        const input = document.createElement("input");
+        input.type = type;
+        input.id = `${id}-${index}`;
+        input.value = option.value;
+        input.defaultChecked = defaults.includes(option.value);
+        input.setAttribute("aria-describedby", describedBy.join(" "));
+        applyConstraints(input);
+        // A checkbox group is required as a whole, see getFieldValidators
+        if (type === "checkbox" && index > 0) {
+          input.required = false;
+        }
+
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${option.label}`));
+        group.appendChild(label);
+      });
+    } else {
+      let control;
+      if (type === "textarea") {
+        control = document.createElement("textarea");
+        control.rows = fieldSchema.rows || 5;
+      } else if (type === "select") {
+        control = document.createElement("select");
+        const placeholder = document.createElement("option");
+        placeholder.value = "";
+        placeholder.textContent = fieldSchema.placeholder || "Choose…";
+        control.appendChild(placeholder);
+        options.forEach((option) => {
+          const optionElement = document.createElement("option");
+          optionElement.value = option.value;
+          optionElement.textContent = option.label;
+          optionElement.defaultSelected = option.value === fieldSchema.default;
+          control.appendChild(optionElement);
+        });
+      } else {
+        control = document.createElement("input");
+        control.type = type;
+      }
+
+      control.id = id;
+      control.setAttribute("aria-describedby", describedBy.join(" "));
+      applyConstraints(control);
+      if (type === "select") {
+        control.removeAttribute("placeholder");
+      }
+
+      if (type === "checkbox") {
+        // Single checkbox: the label follows the box
+        const label = document.createElement("label");
+        label.className = "form-option";
+        control.defaultChecked = fieldSchema.default === true;
+        label.appendChild(control);
+        label.appendChild(document.createTextNode(` ${labelText}`));
+        group.appendChild(label);
+      } else {
+        const label = document.createElement("label");
+        label.htmlFor = id;
+        label.textContent = labelText;
+        group.appendChild(label);
+
+        if (fieldSchema.default !== undefined && type !== "select") {
+          control.defaultValue = fieldSchema.default;
+        }
+        group.appendChild(control);
+      }
+    }
+
+    if (help) {
+      group.appendChild(help);
+    }
+    group.appendChild(errorElement);
+
+    return group;
+  }
+
+  /**
+   * Show or hide fields with a showIf condition
+   * A condition is `{ field, equals }`, `{ field, in: [...] }`,
+   * `{ field, notEquals }` or a function receiving the form values. Hidden
+   * fields are disabled, skipped by validation and left out of getFormData().
+   * @param {string} formId - Form ID
+   */
+  updateConditionalFields(formId) {
+    const config = this.forms.get(formId);
+    if (!config) return;
+
+    // Evaluate in field order, so a hidden field also hides fields that
+    // depend on it
+    config.fields.forEach((field) => {
+      if (!field.showIf) return;
+
+      const values = this.getFormData(formId);
+      const hidden = !this.matchesCondition(field.showIf, values);
+      if (hidden === field.hidden) return;
+
+      field.hidden = hidden;
+      const container =
+        field.element.closest(".form-group") || field.element.parentElement;
+      container.style.display = hidden ? "none" : "";
+      field.elements.forEach((element) => {
+        element.disabled = hidden;
+      });
+
+      if (hidden) {
+        // Clear errors of the hidden field
+        this.cancelFieldValidation(field);
+        field.isValid = true;
+        field.errors = [];
+        field.validated = false;
+        this.updateFieldUI(field.element, true, []);
+      }
+    });
+  }
+
+  /**
+   * Check a showIf condition
+   * @param {Object|Function} condition - Condition
+   * @param {Object} values - Form values
+   * @returns {boolean} Whether the field is shown
+   */
+  matchesCondition(condition, values) {
+    if (typeof condition === "function") {
+      return Boolean(condition(values));
+    }
+
+    const value = values[condition.field];
+    const matches = (expected) =>
+      Array.isArray(value) ? value.includes(expected) : value === expected;
+
+    if ("equals" in condition) return matches(condition.equals);
+    if ("notEquals" in condition) return !matches(condition.notEquals);
+    if ("in" in condition) return condition.in.some(matches);
+    // Shown when the other field has a value
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
   /**
    * Register a form for management
    * @param {HTMLFormElement} form - Form element
@@ -46,12 +558,43 @@ class FormManager {
       onValidate: options.onValidate || null,
       validateOnChange: options.validateOnChange !== false,
       validateOnBlur: options.validateOnBlur !== false,
+      // Delay of validation while typing (ms)
+      validationDebounce:
+        options.validationDebounce !== undefined
+          ? options.validationDebounce
+          : 300,
+      // Ask before leaving the page or section with unsaved changes
+      guardUnsavedChanges: options.guardUnsavedChanges !== false,
+      // Save unsaved changes as a draft, restored on return
+      draft: options.draft !== false,
+      draftDelay: options.draftDelay !== undefined ? options.draftDelay : 500,
+      draftTimer: null,
       ...options,
     };
 
+    // Messages come from the validators instead of the browser's bubbles
+    form.noValidate = true;
+
+    const previous = this.forms.get(form.id);
+
     this.forms.set(form.id, formConfig);
     this.bindFormEvents(form.id);
     this.discoverFields(form.id);
+
+    // Registering again (e.g. with new options) keeps the unsaved changes
+    if (previous) {
+      clearTimeout(previous.draftTimer);
+      previous.fields.forEach((field, fieldName) => {
+        const current = formConfig.fields.get(fieldName);
+        if (current) {
+          current.initialValue = field.initialValue;
+          current.touched = field.touched;
+        }
+      });
+      this.updateDirtyState(form.id);
+    }
+
+    this.restoreDraft(form.id);
   }
 
   /**
@@ -60,9 +603,11 @@ class FormManager {
    */
   bindFormEvents(formId) {
     const config = this.forms.get(formId);
-    if (!config) return;
+    if (!config || this.boundForms.has(config.element)) return;
 
+    // Handlers look the config up, as registering again replaces it
     const form = config.element;
+    this.boundForms.add(form);
 
     // Handle form submission
     form.addEventListener("submit", (e) => {
@@ -72,11 +617,19 @@ class FormManager {
 
     // Handle field changes
     form.addEventListener("input", (e) => {
+      const config = this.forms.get(formId);
+      if (!config) return;
+
+      this.updateConditionalFields(formId);
+      this.updateDirtyState(formId);
+      this.scheduleDraftSave(formId);
+
       if (
         config.validateOnChange &&
         e.target.matches("input, textarea, select")
       ) {
-        this.validateField(formId, e.target.name);
+        this.validateField(formId, e.target.name, { debounce: true });
+        this.validateDependentFields(formId, e.target.name);
       }
     });
 
@@ -84,6 +637,13 @@ class FormManager {
     form.addEventListener(
       "blur",
       (e) => {
+        const config = this.forms.get(formId);
+        if (!config) return;
+
+        if (config.fields.has(e.target.name)) {
+          config.fields.get(e.target.name).touched = true;
+        }
+
         if (
           config.validateOnBlur &&
           e.target.matches("input, textarea, select")
@@ -107,46 +667,148 @@ class FormManager {
     const fields = form.querySelectorAll("input, textarea, select");
 
     fields.forEach((field) => {
-      if (field.name) {
-        this.addField(formId, field.name, {
-          element: field,
-          validators: this.getFieldValidators(field),
-        });
-      }
+      // Radios and checkboxes sharing a name are one field
+      if (!field.name || config.fields.has(field.name)) return;
+
+      const group =
+        field.type === "radio" || field.type === "checkbox"
+          ? Array.from(fields).filter((other) => other.name === field.name)
+          : [field];
+
+      this.addField(formId, field.name, {
+        element: field,
+        elements: group,
+        validators: this.getFieldValidators(field, group),
+      });
     });
   }
 
   /**
    * Get validators for a field based on attributes
+   *
+   * Maps the HTML constraints (required, minlength, maxlength, min, max,
+   * step, pattern and the email, url, tel, number and date types) and
+   * data-validate="phone|custom:name", where custom validators come from
+   * registerValidator(). A data-error-<rule> attribute replaces the message
+   * of a rule, e.g. data-error-required or data-error-minlength; rules are
+   * named after the attribute, the type or the data-validate entry.
+   *
    * @param {HTMLElement} field - Field element
+   * @param {Array} group - All radios or checkboxes sharing the field's name
    * @returns {Array} Array of validator functions
    */
-  getFieldValidators(field) {
+  getFieldValidators(field, group = [field]) {
     const validators = [];
+    const defaults = this.defaultValidators;
+    const addRule = (rule, validator, defaultMessage = null) => {
+      const message = field.getAttribute(`data-error-${rule}`);
+      validators.push(withMessage(validator, message || defaultMessage));
+    };
+    const attribute = (name) => field.getAttribute(name);
+
+    // A required radio makes its group required, a required checkbox group
+    // needs one checked box
+    if (group.some((element) => element.required)) {
+      let message = null;
+      if (field.type === "checkbox" && group.length === 1) {
+        message = "Please check this box";
+      } else if (
+        field.type === "radio" ||
+        field.type === "checkbox" ||
+        field.tagName === "SELECT"
+      ) {
+        message = "Please select an option";
+      }
+      addRule("required", defaults.required, message);
+    }
 
-    if (field.required) {
-      validators.push(this.defaultValidators.required);
+    if (field.hasAttribute("minlength")) {
+      addRule("minlength", defaults.minLength(Number(attribute("minlength"))));
     }
 
-    if (field.type === "email") {
-      validators.push(this.defaultValidators.email);
+    if (field.hasAttribute("maxlength")) {
+      addRule("maxlength", defaults.maxLength(Number(attribute("maxlength"))));
     }
 
-    // if (field.minLength) {
-    //   validators.push(this.defaultValidators.minLength(field.minLength));
-    // }
+    const typeValidators = {
+      email: defaults.email,
+      url: defaults.url,
+      tel: defaults.phone,
+      number: defaults.number,
+      date: defaults.date,
+    };
+    if (typeValidators[field.type]) {
+      addRule(field.type, typeValidators[field.type]);
+    }
+
+    if (field.hasAttribute("min")) {
+      addRule("min", defaults.min(attribute("min"), field.type));
+    }
 
-    // if (field.maxLength) {
-    //   validators.push(this.defaultValidators.maxLength(field.maxLength));
-    // }
+    if (field.hasAttribute("max")) {
+      addRule("max", defaults.max(attribute("max"), field.type));
+    }
+
+    if (
+      field.hasAttribute("step") &&
+      attribute("step") !== "any" &&
+      NUMERIC_INPUT_TYPES.includes(field.type)
+    ) {
+      addRule(
+        "step",
+        defaults.step(Number(attribute("step")), Number(attribute("min") || 0))
+      );
+    }
 
     if (field.pattern) {
-      validators.push(this.defaultValidators.pattern(field.pattern));
+      addRule("pattern", defaults.pattern(field.pattern));
     }
 
+    // Declarative validators, e.g. data-validate="phone|custom:username"
+    (attribute("data-validate") || "")
+      .split(/[\s|]+/)
+      .filter(Boolean)
+      .forEach((entry) => {
+        if (entry.startsWith("custom:")) {
+          const name = entry.slice("custom:".length);
+          addRule(name, this.getCustomValidator(name));
+        } else if (DECLARATIVE_VALIDATORS.includes(entry)) {
+          addRule(entry, defaults[entry]);
+        } else {
+          console.warn(`Unknown validator "${entry}" on field ${field.name}`);
+        }
+      });
+
     return validators;
   }
 
+  /**
+   * Register a named validator for data-validate="custom:<name>"
+   * Fields look the validator up when they are validated, so it can be
+   * registered after the form.
+   * @param {string} name - Validator name
+   * @param {Function} validator - Validator function
+   */
+  registerValidator(name, validator) {
+    this.validators.set(name, validator);
+  }
+
+  /**
+   * Get a validator calling the registered validator with this name
+   * @param {string} name - Validator name
+   * @returns {Function} Validator function
+   */
+  getCustomValidator(name) {
+    return (value, element, context) => {
+      const validator = this.validators.get(name);
+      if (!validator) {
+        console.warn(`Validator "${name}" is not registered`);
+        return true;
+      }
+      return validator(value, element, context);
+    };
+  }
+
   /**
    * Add a field to a form
    * @param {string} formId - Form ID
@@ -159,52 +821,273 @@ class FormManager {
 
     config.fields.set(fieldName, {
       element: fieldConfig.element,
+      // Radio and checkbox groups have several elements
+      elements: fieldConfig.elements || [fieldConfig.element],
       validators: fieldConfig.validators || [],
+      // Fields whose changes revalidate this one
+      dependsOn: fieldConfig.dependsOn || [],
+      // Typing delay, overrides the form's validationDebounce
+      debounce: fieldConfig.debounce,
       isValid: true,
       errors: [],
+      validated: false,
+      validating: false,
+      // Visibility condition, see createForm()
+      showIf: fieldConfig.showIf || null,
+      hidden: false,
+      // Running validation: its AbortController and result promise
+      controller: null,
+      validation: null,
+      // Edited since registration or the last submit / reset, see isDirty()
+      touched: false,
+      dirty: false,
       ...fieldConfig,
     });
+
+    const field = config.fields.get(fieldName);
+    field.initialValue = this.getFieldValue(field);
+  }
+
+  /**
+   * Recompute which fields differ from their initial values
+   * @param {string} formId - Form ID
+   */
+  updateDirtyState(formId) {
+    const config = this.forms.get(formId);
+    if (!config) return;
+
+    config.fields.forEach((field) => {
+      field.dirty = !fieldValuesEqual(
+        this.getFieldValue(field),
+        field.initialValue
+      );
+    });
+
+    config.element.classList.toggle("dirty", this.isDirty(formId));
+  }
+
+  /**
+   * Check whether a form or field differs from its initial values
+   * @param {string} formId - Form ID
+   * @param {string} fieldName - Field name (optional, default: any field)
+   * @returns {boolean}
+   */
+  isDirty(formId, fieldName) {
+    return this.checkFields(formId, fieldName, (field) => field.dirty);
+  }
+
+  /**
+   * Check whether a form or field has been focused and left
+   * @param {string} formId - Form ID
+   * @param {string} fieldName - Field name (optional, default: any field)
+   * @returns {boolean}
+   */
+  isTouched(formId, fieldName) {
+    return this.checkFields(formId, fieldName, (field) => field.touched);
+  }
+
+  /**
+   * Check a flag on one field, or whether any field has it
+   * @param {string} formId - Form ID
+   * @param {string} fieldName - Field name (optional)
+   * @param {Function} predicate - (field) => boolean
+   * @returns {boolean}
+   */
+  checkFields(formId, fieldName, predicate) {
+    const config = this.forms.get(formId);
+    if (!config) return false;
+
+    if (fieldName !== undefined) {
+      const field = config.fields.get(fieldName);
+      return Boolean(field && predicate(field));
+    }
+    return Array.from(config.fields.values()).some(predicate);
+  }
+
+  /**
+   * Get the names of the fields that differ from their initial values
+   * @param {string} formId - Form ID
+   * @returns {Array} Field names
+   */
+  getDirtyFields(formId) {
+    const config = this.forms.get(formId);
+    if (!config) return [];
+
+    return Array.from(config.fields.entries())
+      .filter(([, field]) => field.dirty)
+      .map(([fieldName]) => fieldName);
+  }
+
+  /**
+   * Check for unsaved changes in guarded forms
+   * @param {string} sectionId - Only check forms in this section (optional)
+   * @returns {boolean}
+   */
+  hasUnsavedChanges(sectionId) {
+    return Array.from(this.forms.entries()).some(([formId, config]) => {
+      if (!config.guardUnsavedChanges || !this.isDirty(formId)) {
+        return false;
+      }
+      if (sectionId === undefined) {
+        return true;
+      }
+      const section = config.element.closest(".section");
+      return Boolean(section && section.id === sectionId);
+    });
+  }
+
+  /**
+   * Take the current values as the initial ones (after submit or reset)
+   * @param {string} formId - Form ID
+   */
+  markPristine(formId) {
+    const config = this.forms.get(formId);
+    if (!config) return;
+
+    config.fields.forEach((field) => {
+      field.initialValue = this.getFieldValue(field);
+      field.dirty = false;
+      field.touched = false;
+    });
+    config.element.classList.remove("dirty");
   }
 
   /**
    * Add validator to a field
+   * Cross-field validators read other fields from `context.values`; list
+   * those fields in `dependsOn` so that editing them revalidates this field:
+   *
+   *   formManager.addValidator(
+   *     "signupForm",
+   *     "confirmPassword",
+   *     formManager.defaultValidators.matches("password", "Passwords don't match"),
+   *     { dependsOn: ["password"] }
+   *   );
+   *
    * @param {string} formId - Form ID
    * @param {string} fieldName - Field name
    * @param {Function} validator - Validator function
+   * @param {Object} options - Validator options
+   * @param {Array} options.dependsOn - Names of other fields the validator reads
    */
-  addValidator(formId, fieldName, validator) {
+  addValidator(formId, fieldName, validator, options = {}) {
     const config = this.forms.get(formId);
     if (!config || !config.fields.has(fieldName)) return;
 
     const field = config.fields.get(fieldName);
     field.validators.push(validator);
+
+    (options.dependsOn || []).forEach((name) => {
+      if (!field.dependsOn.includes(name)) {
+        field.dependsOn.push(name);
+      }
+    });
   }
 
   /**
    * Validate a specific field
+   * Validators run in order and stop at the first error, so a server check
+   * listed after `required` or `email` only runs for well-formed values.
+   * Starting a new validation of the field cancels the running one.
    * @param {string} formId - Form ID
    * @param {string} fieldName - Field name
-   * @returns {boolean} Whether field is valid
+   * @param {Object} options - Validation options
+   * @param {boolean} options.debounce - Wait for the field's debounce delay first (used while typing)
+   * @returns {Promise<boolean>} Whether field is valid, once its latest validation finished
    */
-  validateField(formId, fieldName) {
+  validateField(formId, fieldName, options = {}) {
     const config = this.forms.get(formId);
-    if (!config || !config.fields.has(fieldName)) return true;
+    if (!config || !config.fields.has(fieldName)) return Promise.resolve(true);
 
     const field = config.fields.get(fieldName);
-    const value = field.element.value;
+    this.cancelFieldValidation(field);
+
+    const controller = new AbortController();
+    const delay = options.debounce
+      ? field.debounce !== undefined
+        ? field.debounce
+        : config.validationDebounce
+      : 0;
+
+    field.controller = controller;
+    const validation = this.runValidators(
+      formId,
+      fieldName,
+      controller.signal,
+      delay
+    ).then((isValid) => {
+      if (!controller.signal.aborted) {
+        return isValid;
+      }
+      // A newer validation replaced this one, answer with its result, or
+      // with the current state when it was cancelled without a replacement
+      return field.validation && field.validation !== validation
+        ? field.validation
+        : field.isValid;
+    });
+    field.validation = validation;
+
+    return validation;
+  }
+
+  /**
+   * Run a field's validators and update its state and UI
+   * @param {string} formId - Form ID
+   * @param {string} fieldName - Field name
+   * @param {AbortSignal} signal - Aborted when the validation is replaced
+   * @param {number} delay - Debounce delay (ms)
+   * @returns {Promise<boolean>} Whether field is valid
+   */
+  async runValidators(formId, fieldName, signal, delay) {
+    const config = this.forms.get(formId);
+    const field = config.fields.get(fieldName);
+
+    if (delay > 0) {
+      await waitForValidation(delay, signal);
+      if (signal.aborted) return false;
+    }
+
+    // Hidden conditional fields are not validated
+    const validators = field.hidden ? [] : field.validators;
+    const value = this.getFieldValue(field);
+    const context = {
+      values: this.getFormData(formId),
+      signal,
+      formId,
+      fieldName,
+    };
     const errors = [];
 
-    // Run validators
-    field.validators.forEach((validator) => {
-      const result = validator(value, field.element);
+    for (const validator of validators) {
+      let result;
+      try {
+        result = validator(value, field.element, context);
+
+        if (result && typeof result.then === "function") {
+          this.setFieldValidating(field, true);
+          result = await result;
+        }
+      } catch (error) {
+        if (signal.aborted) return false;
+
+        console.error(`Validator failed for ${fieldName}:`, error);
+        result = "This field could not be validated, please try again";
+      }
+
+      if (signal.aborted) return false;
+
       if (result !== true) {
         errors.push(result);
+        break;
       }
-    });
+    }
 
     // Update field state
     field.isValid = errors.length === 0;
     field.errors = errors;
+    field.validated = true;
+    field.controller = null;
+    this.setFieldValidating(field, false);
 
     // Update UI
     this.updateFieldUI(field.element, field.isValid, errors);
@@ -212,37 +1095,104 @@ class FormManager {
     return field.isValid;
   }
 
-   /**
-    * Validate entire form
-    * @param {string} formId - Form ID
-    * @returns {boolean} Whether form is valid
-    */
-   validateForm(formId) {
-     const config = this.forms.get(formId);
-     if (!config) {
-       console.error(`Form config not found for: ${formId}`);
-       return false;
-     }
+  /**
+   * Revalidate fields that depend on a changed field
+   * Only fields that were validated before are checked, so untouched
+   * fields don't show errors yet.
+   * @param {string} formId - Form ID
+   * @param {string} fieldName - Changed field
+   */
+  validateDependentFields(formId, fieldName) {
+    const config = this.forms.get(formId);
+    if (!config) return;
 
-     let isValid = true;
-     const errors = [];
+    config.fields.forEach((field, name) => {
+      if (field.validated && field.dependsOn.includes(fieldName)) {
+        this.validateField(formId, name, { debounce: true });
+      }
+    });
+  }
 
-     config.fields.forEach((field, fieldName) => {
-       const fieldValid = this.validateField(formId, fieldName);
-       if (!fieldValid) {
-         isValid = false;
-         errors.push(`${fieldName}: ${field.errors.join(', ')}`);
-       }
-     });
+  /**
+   * Cancel a field's running validation
+   * @param {Object} field - Field state
+   */
+  cancelFieldValidation(field) {
+    if (field.controller) {
+      field.controller.abort();
+      field.controller = null;
+    }
+    field.validation = null;
+    this.setFieldValidating(field, false);
+  }
 
-     if (!isValid) {
-       console.log(`Form validation failed for ${formId}:`, errors);
-     } else {
-       console.log(`Form validation passed for ${formId}`);
-     }
+  /**
+   * Show or hide the "validating" state of a field
+   * @param {Object} field - Field state
+   * @param {boolean} validating - Whether async validators are running
+   */
+  setFieldValidating(field, validating) {
+    if (field.validating === validating) return;
+    field.validating = validating;
+
+    const element = field.element;
+    element.classList.toggle("validating", validating);
+
+    let statusElement =
+      element.parentElement.querySelector(".validation-status");
+
+    if (validating) {
+      element.setAttribute("aria-busy", "true");
+      if (!statusElement) {
+        statusElement = document.createElement("div");
+        statusElement.className = "validation-status";
+        element.parentElement.appendChild(statusElement);
+      }
+      statusElement.textContent = "Validating…";
+    } else {
+      element.removeAttribute("aria-busy");
+      if (statusElement) {
+        statusElement.remove();
+      }
+    }
+  }
 
-     return isValid;
-   }
+  /**
+   * Validate entire form
+   * Waits for all validations, including asynchronous ones.
+   * @param {string} formId - Form ID
+   * @returns {Promise<boolean>} Whether form is valid
+   */
+  async validateForm(formId) {
+    const config = this.forms.get(formId);
+    if (!config) {
+      console.error(`Form config not found for: ${formId}`);
+      return false;
+    }
+
+    const fieldNames = Array.from(config.fields.keys());
+    const results = await Promise.all(
+      fieldNames.map((fieldName) => this.validateField(formId, fieldName))
+    );
+
+    const errors = [];
+    results.forEach((fieldValid, index) => {
+      if (!fieldValid) {
+        const field = config.fields.get(fieldNames[index]);
+        errors.push(`${fieldNames[index]}: ${field.errors.join(", ")}`);
+      }
+    });
+
+    const isValid = errors.length === 0;
+
+    if (!isValid) {
+      console.log(`Form validation failed for ${formId}:`, errors);
+    } else {
+      console.log(`Form validation passed for ${formId}`);
+    }
+
+    return isValid;
+  }
 
    /**
     * Handle form submission
@@ -255,41 +1205,71 @@ class FormManager {
      // Show loading state
      this.setFormLoading(formId, true);
 
-     try {
-       // Validate form
-       if (!this.validateForm(formId)) {
-         showError("Please fix the errors in the form");
-         return;
-       }
-
-       // Get form data
-       const formData = this.getFormData(formId);
+     let isValid = true;
+     let submitError = null;
 
-       // Call custom submit handler
-       await config.onSubmit(formData, formId);
+     let result = null;
 
-       // Success notification (only if no error was thrown)
-       showSuccess("Form submitted successfully!");
+     try {
+       // Validate form, waiting for asynchronous validators
+       isValid = await this.validateForm(formId);
 
-       // Reset form if configured
-       if (config.resetOnSubmit !== false) {
-         this.resetForm(formId);
+       if (isValid) {
+         // Call custom submit handler
+         result = await config.onSubmit(this.getFormData(formId), formId);
        }
      } catch (error) {
        console.error("Form submission error:", error);
-       showError(error.message || "An error occurred while submitting the form");
-     } finally {
-       // Always reset loading state
-       this.setFormLoading(formId, false);
+       submitError = error;
      }
+
+     // Notification, form reset and loading state in a single state update
+     const batch = window.appState
+       ? (fn) => window.appState.batch(fn)
+       : (fn) => fn();
+
+     batch(() => {
+       try {
+         if (!isValid) {
+           showError("Please fix the errors in the form");
+         } else if (submitError) {
+           showError(submitError.message || "An error occurred while submitting the form");
+         } else {
+           if (result && result.queued) {
+             showInfo("You're offline. The form will be sent when you're back online.");
+           } else {
+             showSuccess("Form submitted successfully!");
+           }
+
+           // The changes are saved now
+           this.clearDraft(formId);
+           this.markPristine(formId);
+
+           // Reset form if configured
+           if (config.resetOnSubmit !== false) {
+             this.resetForm(formId);
+           }
+         }
+       } finally {
+         // Always reset loading state
+         this.setFormLoading(formId, false);
+       }
+     });
    }
 
    /**
     * Default submit handler
+    * Forms with an action attribute are sent to the server, see
+    * submitRequest(); others are only stored in the app state.
     * @param {Object} formData - Form data
     * @param {string} formId - Form ID
     */
    async defaultSubmitHandler(formData, formId) {
+     const config = this.forms.get(formId);
+     if (config && config.element.hasAttribute("action")) {
+       return this.submitRequest(formId, formData);
+     }
+
      try {
        // Simulate API call
        await new Promise((resolve) => setTimeout(resolve, 1000));
@@ -309,6 +1289,495 @@ class FormManager {
      }
    }
 
+  /**
+   * Send a form to its action URL
+   *
+   * Uses the form's action, method and enctype. Forms without an enctype
+   * are sent as JSON, or as multipart/form-data when they have a file
+   * input; enctype="application/json" can also be set explicitly. Network
+   * failures are retried with exponential backoff (form options `retries`,
+   * default 3, and `retryDelay`, default 1000 ms). 502/503/504 responses
+   * are only retried for GET, or when the form option `idempotencyKey` is
+   * set: POSTs then carry an Idempotency-Key header, the same for every
+   * attempt, so the server can ignore repeats. Field errors from a 422
+   * response are shown on the fields:
+   *
+   *   { "errors": { "email": "This email is already registered" } }
+   *
+   * While offline the submission is queued in IndexedDB and sent when the
+   * connection returns (form option `queueOffline`, default true).
+   *
+   * @param {string} formId - Form ID
+   * @param {Object} formData - Values to send (default: getFormData)
+   * @returns {Promise<Object>} `{ status, body }`, or `{ queued: true }` when queued
+   * @throws {FormSubmitError} When the server rejects the submission
+   */
+  async submitRequest(formId, formData = this.getFormData(formId)) {
+    const config = this.forms.get(formId);
+    if (!config) {
+      throw new Error(`Form config not found for: ${formId}`);
+    }
+
+    const request = this.buildRequest(config.element, formData);
+    if (config.idempotencyKey && !IDEMPOTENT_METHODS.includes(request.method)) {
+      request.headers["Idempotency-Key"] = createIdempotencyKey();
+    }
+    const canQueue = this.queue && config.queueOffline !== false;
+
+    if (navigator.onLine === false && canQueue) {
+      return this.queueSubmission(formId, request);
+    }
+
+    let response;
+    try {
+      response = await this.sendRequest(request, {
+        retries: config.retries !== undefined ? config.retries : 3,
+        retryDelay: config.retryDelay !== undefined ? config.retryDelay : 1000,
+      });
+    } catch (error) {
+      // Connection lost while sending
+      if (navigator.onLine === false && canQueue) {
+        return this.queueSubmission(formId, request);
+      }
+      throw new FormSubmitError(
+        "Could not reach the server. Please try again."
+      );
+    }
+
+    const result = await this.handleResponse(response);
+    if (result.fieldErrors) {
+      this.showServerErrors(formId, result.fieldErrors);
+    }
+    if (result.error) {
+      throw result.error;
+    }
+    return { status: response.status, body: result.body };
+  }
+
+  /**
+   * Build the HTTP request for a form
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} formData - Values to send
+   * @returns {Object} `{ url, method, headers, body }`
+   */
+  buildRequest(form, formData) {
+    const method = (form.getAttribute("method") || "post").toUpperCase();
+    const url = new URL(form.getAttribute("action") || "", document.baseURI);
+    const hasFiles = Boolean(form.querySelector('input[type="file"]'));
+    const enctype =
+      form.getAttribute("enctype") ||
+      (hasFiles ? "multipart/form-data" : "application/json");
+    const headers = { Accept: "application/json" };
+
+    if (method === "GET") {
+      const params = new URLSearchParams();
+      Object.entries(formData).forEach(([name, value]) => {
+        appendFormValue(params, name, value);
+      });
+      url.search = params.toString();
+      return { url: url.href, method, headers, body: null };
+    }
+
+    let body;
+    if (enctype === "multipart/form-data") {
+      // The browser sets the content type with the boundary
+      body = new FormData();
+      Object.entries(formData).forEach(([name, value]) => {
+        appendFormValue(body, name, value);
+      });
+    } else if (enctype === "application/x-www-form-urlencoded") {
+      const params = new URLSearchParams();
+      Object.entries(formData).forEach(([name, value]) => {
+        appendFormValue(params, name, value);
+      });
+      body = params.toString();
+      headers["Content-Type"] = enctype;
+    } else {
+      body = JSON.stringify(formData);
+      headers["Content-Type"] = "application/json";
+    }
+
+    return { url: url.href, method, headers, body };
+  }
+
+  /**
+   * Send a request, retrying network failures with exponential backoff
+   * 502/503/504 responses are retried too when sending again is safe: for
+   * idempotent methods and requests with an Idempotency-Key header.
+   * @param {Object} request - Request from buildRequest()
+   * @param {Object} options - Retry options
+   * @param {number} options.retries - Retries after the first attempt
+   * @param {number} options.retryDelay - Delay before the first retry (ms), doubled each time
+   * @returns {Promise<Response>} Response
+   */
+  async sendRequest(request, { retries = 0, retryDelay = 1000 } = {}) {
+    // The server may have handled a POST it answered with an error
+    const canResend =
+      IDEMPOTENT_METHODS.includes(request.method) ||
+      Boolean(request.headers && request.headers["Idempotency-Key"]);
+
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = attempt < retries && navigator.onLine !== false;
+
+      try {
+        const response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body,
+          credentials: "same-origin",
+        });
+
+        if (
+          !canRetry ||
+          !canResend ||
+          !RETRY_STATUSES.includes(response.status)
+        ) {
+          return response;
+        }
+      } catch (error) {
+        if (!canRetry) {
+          throw error;
+        }
+      }
+
+      const delay = retryDelay * 2 ** attempt;
+      console.warn(`Form submission failed, retrying in ${delay} ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Read a submission response
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object>} `{ body, error, fieldErrors }`
+   */
+  async handleResponse(response) {
+    const contentType = response.headers.get("Content-Type") || "";
+    let body = null;
+    try {
+      body = contentType.includes("json")
+        ? await response.json()
+        : await response.text();
+    } catch (error) {
+      console.warn("Could not read the form response:", error);
+    }
+
+    if (response.ok) {
+      return { body, error: null, fieldErrors: null };
+    }
+
+    if (response.status === 422 && body && body.errors) {
+      // { errors: { field: "message" | [messages] } } or [{ field, message }]
+      const fieldErrors = {};
+      if (Array.isArray(body.errors)) {
+        body.errors.forEach(({ field, message }) => {
+          fieldErrors[field] = [...(fieldErrors[field] || []), message];
+        });
+      } else {
+        Object.entries(body.errors).forEach(([field, messages]) => {
+          fieldErrors[field] = [].concat(messages);
+        });
+      }
+
+      const error = new FormSubmitError("Please fix the errors in the form", {
+        status: response.status,
+        fieldErrors,
+        body,
+      });
+      return { body, error, fieldErrors };
+    }
+
+    const message =
+      (body && body.message) ||
+      `The form could not be submitted (${response.status})`;
+    return {
+      body,
+      error: new FormSubmitError(message, { status: response.status, body }),
+      fieldErrors: null,
+    };
+  }
+
+  /**
+   * Show field errors returned by the server
+   * @param {string} formId - Form ID
+   * @param {Object} fieldErrors - Field name → array of messages
+   */
+  showServerErrors(formId, fieldErrors) {
+    const config = this.forms.get(formId);
+    if (!config) return;
+
+    Object.entries(fieldErrors).forEach(([fieldName, errors]) => {
+      const field = config.fields.get(fieldName);
+      if (!field) {
+        console.warn(`Server error for unknown field ${fieldName}:`, errors);
+        return;
+      }
+
+      this.cancelFieldValidation(field);
+      field.isValid = false;
+      field.errors = errors;
+      this.updateFieldUI(field.element, false, errors);
+    });
+  }
+
+  /**
+   * Store a submission to send when the connection returns
+   * @param {string} formId - Form ID
+   * @param {Object} request - Request from buildRequest()
+   * @returns {Promise<Object>} `{ queued: true }`
+   */
+  async queueSubmission(formId, request) {
+    // FormData can't be stored, keep its entries (files included)
+    const body =
+      request.body instanceof FormData
+        ? { entries: Array.from(request.body.entries()) }
+        : request.body;
+
+    await this.queue.add({ ...request, body, formId, queuedAt: Date.now() });
+    console.log(`Form ${formId} queued until the connection returns`);
+
+    return { queued: true };
+  }
+
+  /**
+   * Send the submissions queued while offline, oldest first
+   * Stops at the first network failure or temporary error (5xx, 408, 429),
+   * keeping the rest queued; submissions rejected with another 4xx are
+   * dropped.
+   * @returns {Promise} Resolves when the queue was processed
+   */
+  flushQueue() {
+    if (!this.queue) return Promise.resolve();
+    if (this.flushing) return this.flushing;
+
+    const flush = async () => {
+      const entries = await this.queue.getAll();
+
+      for (const entry of entries) {
+        let body = entry.body;
+        if (body && body.entries) {
+          body = new FormData();
+          entry.body.entries.forEach(([name, value]) => {
+            body.append(name, value);
+          });
+        }
+
+        const config = this.forms.get(entry.formId) || {};
+        let response;
+        try {
+          response = await this.sendRequest(
+            { ...entry, body },
+            {
+              retries: config.retries !== undefined ? config.retries : 3,
+              retryDelay:
+                config.retryDelay !== undefined ? config.retryDelay : 1000,
+            }
+          );
+        } catch (error) {
+          // Still unreachable, try again on the next "online" event
+          return;
+        }
+
+        const rejected =
+          response.status >= 400 &&
+          response.status < 500 &&
+          !TRANSIENT_CLIENT_STATUSES.includes(response.status);
+        if (!response.ok && !rejected) {
+          // Server trouble, keep it for the next "online" event
+          console.warn(
+            `Queued form ${entry.formId} not sent (${response.status}), keeping it`
+          );
+          return;
+        }
+
+        await this.queue.remove(entry.id);
+        const { error } = await this.handleResponse(response);
+        if (error) {
+          showError(
+            `A form saved while offline was rejected: ${error.message}`
+          );
+        } else {
+          showSuccess("A form saved while offline has been sent");
+        }
+      }
+    };
+
+    // Other open tabs share the queue, let one of them send it
+    const run =
+      navigator.locks && navigator.locks.request
+        ? navigator.locks.request("monolithic-form-queue", flush)
+        : flush();
+
+    this.flushing = run
+      .catch((error) => {
+        console.error("Could not send queued forms:", error);
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+
+    return this.flushing;
+  }
+
+  /**
+   * Get the storage for drafts (localStorage through storage.js)
+   * @returns {Object|null} Storage adapter, or null when unavailable
+   */
+  getDraftStorage() {
+    if (!this.draftStorage && typeof createStorageAdapter === "function") {
+      try {
+        this.draftStorage = createStorageAdapter("local");
+      } catch (error) {
+        console.warn("Drafts are disabled, no storage available:", error);
+      }
+    }
+    return this.draftStorage;
+  }
+
+  /**
+   * Get the storage key of a form's draft
+   * Not tied to the URL, which changes with the section in history mode.
+   * @param {string} formId - Form ID
+   * @returns {string}
+   */
+  getDraftKey(formId) {
+    return `monolithic:draft:${formId}`;
+  }
+
+  /**
+   * Save the draft once typing pauses
+   * @param {string} formId - Form ID
+   */
+  scheduleDraftSave(formId) {
+    const config = this.forms.get(formId);
+    if (!config || !config.draft) return;
+
+    clearTimeout(config.draftTimer);
+    config.draftTimer = setTimeout(() => {
+      config.draftTimer = null;
+      this.saveDraft(formId);
+    }, config.draftDelay);
+  }
+
+  /**
+   * Save a form's unsaved changes, or remove its draft if there are none
+   * Password and file fields are never saved.
+   * @param {string} formId - Form ID
+   * @returns {Promise}
+   */
+  async saveDraft(formId) {
+    const config = this.forms.get(formId);
+    const storage = this.getDraftStorage();
+    if (!config || !config.draft || !storage) return;
+
+    if (!this.isDirty(formId)) {
+      await storage.remove(this.getDraftKey(formId));
+      return;
+    }
+
+    const values = {};
+    config.fields.forEach((field, fieldName) => {
+      const type = field.element.type;
+      if (type !== "password" && type !== "file") {
+        values[fieldName] = this.getFieldValue(field);
+      }
+    });
+
+    try {
+      await storage.set(
+        this.getDraftKey(formId),
+        JSON.stringify({ savedAt: Date.now(), values })
+      );
+    } catch (error) {
+      console.warn(`Could not save the draft of ${formId}:`, error);
+    }
+  }
+
+  /**
+   * Fill a form with its saved draft
+   * Skipped when the user already started editing.
+   * @param {string} formId - Form ID
+   * @returns {Promise<boolean>} Whether a draft was restored
+   */
+  async restoreDraft(formId) {
+    const config = this.forms.get(formId);
+    const storage = this.getDraftStorage();
+    if (!config || !config.draft || !storage) return false;
+
+    let draft = null;
+    try {
+      draft = JSON.parse(await storage.get(this.getDraftKey(formId)));
+    } catch (error) {
+      console.warn(`Ignoring the invalid draft of ${formId}:`, error);
+    }
+
+    // The form may have been re-registered or edited in the meantime
+    if (!draft || this.forms.get(formId) !== config || this.isDirty(formId)) {
+      return false;
+    }
+
+    this.setFormData(formId, draft.values || {});
+    this.updateConditionalFields(formId);
+    this.updateDirtyState(formId);
+    this.showDraftNotice(formId);
+    return true;
+  }
+
+  /**
+   * Remove a form's draft and put the fields back to their initial values
+   * @param {string} formId - Form ID
+   */
+  discardDraft(formId) {
+    this.resetForm(formId);
+  }
+
+  /**
+   * Remove a form's draft without touching the fields
+   * @param {string} formId - Form ID
+   */
+  clearDraft(formId) {
+    const config = this.forms.get(formId);
+    if (!config) return;
+
+    clearTimeout(config.draftTimer);
+    config.draftTimer = null;
+
+    const notice = config.element.querySelector(".form-draft-notice");
+    if (notice) {
+      notice.remove();
+    }
+
+    const storage = this.getDraftStorage();
+    if (storage) {
+      storage.remove(this.getDraftKey(formId)).catch((error) => {
+        console.warn(`Could not remove the draft of ${formId}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Tell the user a draft was restored, with a button to discard it
+   * @param {string} formId - Form ID
+   */
+  showDraftNotice(formId) {
+    const config = this.forms.get(formId);
+    if (!config || config.element.querySelector(".form-draft-notice")) return;
+
+    const notice = document.createElement("div");
+    notice.className = "form-draft-notice";
+    notice.setAttribute("role", "status");
+    notice.textContent = "We restored your unsaved changes. ";
+
+    const discardBtn = document.createElement("button");
+    discardBtn.type = "button";
+    discardBtn.className = "form-draft-discard";
+    discardBtn.textContent = "Discard";
+    discardBtn.addEventListener("click", () => this.discardDraft(formId));
+
+    notice.appendChild(discardBtn);
+    config.element.prepend(notice);
+  }
+
   /**
    * Get form data
    * @param {string} formId - Form ID
@@ -321,12 +1790,82 @@ class FormManager {
     const formData = {};
 
     config.fields.forEach((field, fieldName) => {
-      formData[fieldName] = field.element.value;
+      if (!field.hidden) {
+        formData[fieldName] = this.getFieldValue(field);
+      }
     });
 
     return formData;
   }
 
+  /**
+   * Get the value of a field
+   * Radio groups give the checked value, checkbox groups and multiple
+   * selects an array of values and a single checkbox whether it's checked.
+   * File inputs give a File (or null), or an array with `multiple`.
+   * @param {Object} field - Field state
+   * @returns {*} Field value
+   */
+  getFieldValue(field) {
+    const { element, elements } = field;
+
+    if (element.type === "radio") {
+      const checked = elements.find((radio) => radio.checked);
+      return checked ? checked.value : "";
+    }
+
+    if (element.type === "checkbox") {
+      return elements.length > 1
+        ? elements.filter((box) => box.checked).map((box) => box.value)
+        : element.checked;
+    }
+
+    if (element.tagName === "SELECT" && element.multiple) {
+      return Array.from(element.selectedOptions).map((option) => option.value);
+    }
+
+    if (element.type === "file") {
+      const files = Array.from(element.files || []);
+      return element.multiple ? files : files[0] || null;
+    }
+
+    return element.value;
+  }
+
+  /**
+   * Set the value of a field, see getFieldValue() for the value types
+   * @param {Object} field - Field state
+   * @param {*} value - Field value
+   */
+  setFieldValue(field, value) {
+    const { element, elements } = field;
+
+    if (element.type === "radio") {
+      elements.forEach((radio) => {
+        radio.checked = radio.value === value;
+      });
+    } else if (element.type === "checkbox" && elements.length > 1) {
+      const values = [].concat(value);
+      elements.forEach((box) => {
+        box.checked = values.includes(box.value);
+      });
+    } else if (element.type === "checkbox") {
+      element.checked = Boolean(value);
+    } else if (element.type === "file") {
+      // Files can't be set from script, only cleared
+      if (!value || value.length === 0) {
+        element.value = "";
+      }
+    } else if (element.tagName === "SELECT" && element.multiple) {
+      const values = [].concat(value);
+      Array.from(element.options).forEach((option) => {
+        option.selected = values.includes(option.value);
+      });
+    } else {
+      element.value = value;
+    }
+  }
+
   /**
    * Set form data
    * @param {string} formId - Form ID
@@ -339,7 +1878,7 @@ class FormManager {
     Object.entries(data).forEach(([fieldName, value]) => {
       const field = config.fields.get(fieldName);
       if (field) {
-        field.element.value = value;
+        this.setFieldValue(field, value);
       }
     });
   }
@@ -356,11 +1895,18 @@ class FormManager {
 
     // Clear validation states
     config.fields.forEach((field) => {
+      this.cancelFieldValidation(field);
       field.isValid = true;
       field.errors = [];
+      field.validated = false;
       this.updateFieldUI(field.element, true, []);
     });
 
+    // Defaults may change which conditional fields are shown
+    this.updateConditionalFields(formId);
+    this.markPristine(formId);
+    this.clearDraft(formId);
+
     // Clear from state
     if (window.appState) {
       window.appState.clearFormData(formId);
@@ -407,9 +1953,12 @@ class FormManager {
 
      // Add appropriate class
      element.classList.add(isValid ? "valid" : "error");
+     element.setAttribute("aria-invalid", String(!isValid));
 
-     // Handle error message display
-     let errorElement = element.parentElement.querySelector(".error-message");
+     // Handle error message display; radios and checkboxes sit in labels,
+     // so look in the whole form group
+     const container = element.closest(".form-group") || element.parentElement;
+     let errorElement = container.querySelector(".error-message");
 
      if (errors.length > 0) {
        if (!errorElement) {
@@ -418,10 +1967,13 @@ class FormManager {
          errorElement.style.color = "#dc3545";
          errorElement.style.fontSize = "0.875rem";
          errorElement.style.marginTop = "0.25rem";
-         element.parentElement.appendChild(errorElement);
+         container.appendChild(errorElement);
        }
        errorElement.textContent = errors[0]; // Show first error
        console.log(`Validation error for ${element.name}: ${errors[0]}`);
+     } else if (errorElement && errorElement.hasAttribute("data-error-for")) {
+       // Rendered by createForm, keep it for the next error
+       errorElement.textContent = "";
      } else if (errorElement) {
        errorElement.remove();
      }
@@ -433,9 +1985,14 @@ class FormManager {
    */
   getDefaultValidators() {
     return {
-       required: (value) => {
-         return (value && value.trim() !== "") || "This field is required";
-       },
+      required: (value) => {
+        const empty = Array.isArray(value)
+          ? value.length === 0
+          : typeof value === "string"
+            ? value.trim() === ""
+            : !value;
+        return !empty || "This field is required";
+      },
 
       email: (value) => {
         if (!value) return true;
@@ -444,17 +2001,83 @@ class FormManager {
       },
 
       minLength: (min) => (value) => {
+        if (!value) return true;
         return value.length >= min || `Minimum length is ${min} characters`;
       },
 
       maxLength: (max) => (value) => {
+        if (!value) return true;
         return value.length <= max || `Maximum length is ${max} characters`;
       },
 
-      pattern: (pattern) => (value) => {
+      // Numbers for number and range inputs, ISO strings for dates and times
+      min:
+        (min, type = "number") =>
+        (value) => {
+          if (value === "") return true;
+          return NUMERIC_INPUT_TYPES.includes(type)
+            ? Number(value) >= Number(min) || `Value must be at least ${min}`
+            : value >= min || `Value must be ${min} or later`;
+        },
+
+      max:
+        (max, type = "number") =>
+        (value) => {
+          if (value === "") return true;
+          return NUMERIC_INPUT_TYPES.includes(type)
+            ? Number(value) <= Number(max) || `Value must be at most ${max}`
+            : value <= max || `Value must be ${max} or earlier`;
+        },
+
+      step:
+        (step, base = 0) =>
+        (value) => {
+          if (value === "") return true;
+          const steps = (Number(value) - base) / step;
+          if (Math.abs(steps - Math.round(steps)) < 1e-9) return true;
+
+          const lower = Number((base + Math.floor(steps) * step).toFixed(10));
+          const upper = Number((lower + step).toFixed(10));
+          return `Please enter a valid value, the nearest are ${lower} and ${upper}`;
+        },
+
+      number: (value, element) => {
+        // Browsers give "" for unparsable input and flag it as badInput
+        const badInput =
+          element && element.validity && element.validity.badInput;
+        if (!badInput && (value === "" || Number.isFinite(Number(value)))) {
+          return true;
+        }
+        return "Please enter a number";
+      },
+
+      date: (value) => {
         if (!value) return true;
-        const regex = new RegExp(pattern);
-        return regex.test(value) || "Please enter a valid value";
+        const date = new Date(`${value}T00:00:00Z`);
+        return (
+          (/^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            !Number.isNaN(date.getTime()) &&
+            date.toISOString().slice(0, 10) === value) ||
+          "Please enter a valid date"
+        );
+      },
+
+      pattern: (pattern) => {
+        // Like the HTML attribute, a string pattern must match the whole value
+        let regex = pattern;
+        if (!(pattern instanceof RegExp)) {
+          try {
+            regex = new RegExp(`^(?:${pattern})$`, "u");
+          } catch (error) {
+            // Browsers ignore invalid patterns too
+            console.warn(`Ignoring invalid pattern "${pattern}":`, error);
+            return () => true;
+          }
+        }
+        return (value) => {
+          if (!value) return true;
+          return regex.test(value) || "Please enter a valid value";
+        };
       },
 
       url: (value) => {
@@ -472,6 +2095,13 @@ class FormManager {
         const phoneRegex = /^[\+]?[\d\s\-\(\)]{10,}$/;
         return phoneRegex.test(value) || "Please enter a valid phone number";
       },
+
+      // Cross-field: add with { dependsOn: [otherField] }
+      matches:
+        (otherField, message = "The values don't match") =>
+        (value, element, { values }) => {
+          return value === values[otherField] || message;
+        },
     };
   }
 
@@ -479,6 +2109,15 @@ class FormManager {
    * Destroy form manager
    */
   destroy() {
+    window.removeEventListener("online", this.handleOnline);
+    window.removeEventListener("beforeunload", this.handleBeforeUnload);
+    if (this.removeNavigationGuard) {
+      this.removeNavigationGuard();
+    }
+    this.forms.forEach((config) => {
+      clearTimeout(config.draftTimer);
+      config.fields.forEach((field) => this.cancelFieldValidation(field));
+    });
     this.forms.clear();
     this.validators.clear();
   }
@@ -1,18 +1,32 @@
 /**
  * Navigation Component
  * Handles navigation between sections and responsive menu
+ *
+ * Sections use hash URLs (/#about) by default. Set `data-routing="history"`
+ * on the <html> element (or pass `{ mode: "history" }`) to use clean URLs
+ * (/about); the server must then serve index.html for those paths, e.g.
+ * `node dev-server.js --history-fallback`.
  */
 
 class Navigation {
-  constructor() {
+  /**
+   * @param {Object} options - Navigation options
+   * @param {string} options.mode - URL mode: "hash" or "history"
+   */
+  constructor(options = {}) {
     this.hamburger = document.querySelector(".hamburger");
     this.navMenu = document.querySelector(".nav-menu");
     this.navLinks = document.querySelectorAll(".nav-link");
     this.sections = document.querySelectorAll(".section");
 
+    this.mode =
+      options.mode || document.documentElement.dataset.routing || "hash";
     this.currentSection = "home";
     this.isMenuOpen = false;
 
+    // Functions that can cancel navigation, see addGuard()
+    this.guards = [];
+
     this.init();
     this.bindEvents();
     this.subscribeToState();
@@ -23,6 +37,15 @@ class Navigation {
    * Initialize navigation
    */
   init() {
+    // Point links at clean URLs so they also work when opened in a new tab
+    if (this.mode === "history") {
+      this.navLinks.forEach((link) => {
+        const section = this.getLinkSection(link);
+        link.dataset.section = section;
+        link.setAttribute("href", this.getSectionUrl(section));
+      });
+    }
+
     // Set initial active section
     this.showSection("home");
     this.setActiveNavLink("home");
@@ -43,8 +66,7 @@ class Navigation {
     this.navLinks.forEach((link) => {
       link.addEventListener("click", (e) => {
         e.preventDefault();
-        const section = link.getAttribute("href").replace("#", "");
-        this.navigateToSection(section);
+        this.navigateToSection(this.getLinkSection(link));
       });
     });
 
@@ -78,11 +100,10 @@ class Navigation {
    */
   subscribeToState() {
     if (window.appState) {
-      this.unsubscribe = window.appState.subscribe((state, prevState) => {
-        if (state.currentSection !== prevState.currentSection) {
-          this.handleSectionChange(state.currentSection);
-        }
-      });
+      this.unsubscribe = window.appState.subscribe(
+        (state) => state.currentSection,
+        (section) => this.handleSectionChange(section)
+      );
     }
   }
 
@@ -99,12 +120,54 @@ class Navigation {
     }
   }
 
+  /**
+   * Add a navigation guard
+   * Guards are called with the target and current section before every
+   * navigation and cancel it by returning false, e.g. to confirm leaving
+   * unsaved changes.
+   * @param {Function} guard - (section, currentSection) => boolean
+   * @returns {Function} Function removing the guard
+   */
+  addGuard(guard) {
+    this.guards.push(guard);
+    return () => {
+      this.guards = this.guards.filter((other) => other !== guard);
+    };
+  }
+
+  /**
+   * Check whether the guards allow navigating to a section
+   * @param {string} section - Section to navigate to
+   * @returns {boolean}
+   */
+  canNavigate(section) {
+    if (section === this.currentSection) {
+      return true;
+    }
+    return this.guards.every(
+      (guard) => guard(section, this.currentSection) !== false
+    );
+  }
+
   /**
    * Navigate to a section
    * @param {string} section - Section to navigate to
    * @param {boolean} updateHistory - Whether to update browser history
+   * @returns {boolean} Whether the navigation happened (guards can cancel it)
    */
   navigateToSection(section, updateHistory = true) {
+    if (!this.canNavigate(section)) {
+      // Back / forward already changed the URL, restore it
+      if (!updateHistory) {
+        history.pushState(
+          { section: this.currentSection },
+          "",
+          this.getSectionUrl(this.currentSection)
+        );
+      }
+      return false;
+    }
+
     if (window.appState) {
       window.appState.navigate(section);
     } else {
@@ -113,15 +176,58 @@ class Navigation {
 
     // Update browser history
     if (updateHistory) {
-      const url = section === "home" ? "/" : `/#${section}`;
-      history.pushState({ section }, "", url);
+      history.pushState({ section }, "", this.getSectionUrl(section));
     }
 
     // Scroll to the section
     this.scrollToSection(section);
+    return true;
   }
 
-/**
+  /**
+   * Get the URL for a section in the current routing mode
+   * @param {string} section - Section ID
+   * @returns {string} URL path
+   */
+  getSectionUrl(section) {
+    if (section === "home") {
+      return "/";
+    }
+    return this.mode === "history" ? `/${section}` : `/#${section}`;
+  }
+
+  /**
+   * Get the section a navigation link points to
+   * @param {HTMLAnchorElement} link - Navigation link
+   * @returns {string} Section ID
+   */
+  getLinkSection(link) {
+    return (
+      link.dataset.section ||
+      link.getAttribute("href").replace(/^\/?#?/, "") ||
+      "home"
+    );
+  }
+
+  /**
+   * Get the section addressed by the current URL
+   * Hash URLs are understood in both modes so old links keep working.
+   * @returns {string|null} Section ID, or null if the URL names no section
+   */
+  getSectionFromLocation() {
+    const hash = window.location.hash.replace("#", "");
+    if (hash) {
+      return hash;
+    }
+
+    if (this.mode === "history") {
+      return window.location.pathname.replace(/^\/|\/$/g, "") || null;
+    }
+
+    return null;
+  }
+
+  /**
    * Scroll to a specific section
    * @param {string} sectionId - Section ID to scroll to
    */
@@ -164,7 +270,7 @@ class Navigation {
    */
   setActiveNavLink(sectionId) {
     this.navLinks.forEach((link) => {
-      const linkSection = link.getAttribute("href").replace("#", "");
+      const linkSection = this.getLinkSection(link);
       if (linkSection === sectionId) {
         link.classList.add("active");
       } else {
@@ -238,7 +344,9 @@ class Navigation {
     navItem.className = "nav-item";
 
     const navLink = document.createElement("a");
-    navLink.href = `#${sectionId}`;
+    navLink.href =
+      this.mode === "history" ? this.getSectionUrl(sectionId) : `#${sectionId}`;
+    navLink.dataset.section = sectionId;
     navLink.className = "nav-link";
     navLink.textContent = label;
 
@@ -265,7 +373,9 @@ class Navigation {
    * @param {string} sectionId - Section ID to remove
    */
   removeNavItem(sectionId) {
-    const navLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
+    const navLink = Array.from(this.navLinks).find(
+      (link) => this.getLinkSection(link) === sectionId
+    );
     if (navLink && navLink.parentElement) {
       navLink.parentElement.remove();
       this.navLinks = document.querySelectorAll(".nav-link");
@@ -305,8 +415,7 @@ class Navigation {
         }
         
         // Update URL without triggering navigation
-        const url = activeSection === 'home' ? '/' : `/#${activeSection}`;
-        history.replaceState({ section: activeSection }, '', url);
+        history.replaceState({ section: activeSection }, '', this.getSectionUrl(activeSection));
       }
       
       ticking = false;
@@ -352,10 +461,12 @@ class Navigation {
 document.addEventListener("DOMContentLoaded", () => {
   window.navigation = new Navigation();
 
-  // Handle initial navigation from URL hash
-  const hash = window.location.hash.replace("#", "");
-  if (hash && window.navigation.sectionExists(hash)) {
-    window.navigation.navigateToSection(hash, false);
+  // Handle initial navigation from the URL (hash or clean path)
+  const section = window.navigation.getSectionFromLocation();
+  if (section && window.navigation.sectionExists(section)) {
+    // Normalise old hash links to the current routing mode
+    history.replaceState({ section }, "", window.navigation.getSectionUrl(section));
+    window.navigation.navigateToSection(section, false);
   }
 });
 
@@ -11,9 +11,12 @@ class NotificationManager {
 
     // Subscribe to state changes
     if (window.appState) {
-      this.unsubscribe = window.appState.subscribe((state, prevState) => {
-        this.handleNotifications(state.notifications, prevState.notifications);
-      });
+      this.unsubscribe = window.appState.subscribe(
+        (state) => state.notifications,
+        (notifications, prevNotifications) => {
+          this.handleNotifications(notifications, prevNotifications);
+        }
+      );
     }
   }
 
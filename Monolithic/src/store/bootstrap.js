@@ -0,0 +1,46 @@
+/**
+ * Browser Setup for the Application State
+ * Creates the global `appState` used by the pages and components. Load it
+ * after storage.js and state.js.
+ */
+
+// Middleware examples
+const loggingMiddleware = (context, next) => {
+  console.log(`State change (${context.action}):`, context.updates);
+  return next();
+};
+
+// Create global state instance
+window.appState = new AppState();
+
+// Take over state rendered by the server into
+// <script id="initial-state" type="application/json">, see AppState.serialize()
+const initialStateElement = document.getElementById("initial-state");
+if (initialStateElement) {
+  window.appState.hydrate(initialStateElement.textContent);
+}
+
+// Log changes in development; with the Redux DevTools extension
+// installed, changes are shown there instead of in the console
+if (window.appState.isDevelopment()) {
+  if (!window.appState.connectDevTools()) {
+    window.appState.use(loggingMiddleware);
+  }
+}
+
+// Restore persisted state on load and save changes
+window.appState.enablePersistence({
+  namespace: "monolithic",
+  keys: ["user", "formData"],
+  version: 1,
+});
+
+// Record undo / redo history in development (see window.dev)
+if (window.appState.isDevelopment()) {
+  window.appState.enableHistory();
+}
+
+// Write pending changes before page unload
+window.addEventListener("beforeunload", () => {
+  window.appState.persist();
+});
@@ -1,80 +1,1081 @@
 /**
  * Simple State Management for Monolithic Frontend
  * A lightweight state management solution for small to medium applications
+ *
+ * State is immutable: updates replace the changed objects and share the rest,
+ * so `state.stats !== prevState.stats` tells whether stats changed. In
+ * development the state is deep-frozen: mutating it throws in strict mode
+ * code and is silently ignored outside strict mode (classic scripts).
+ *
+ * Loading this file has no side effects, so it also runs in Node (tests,
+ * server-side rendering). The browser's global `appState` is created by
+ * bootstrap.js.
  */
 
+/**
+ * Slices registered by every AppState
+ * Each slice owns one state key; its actions are reducers returning the
+ * slice's next value, dispatched as "<slice>/<action>". The schema is
+ * checked on every update, see validateValue().
+ */
+const CORE_SLICES = {
+  currentSection: {
+    initialState: "home",
+    schema: { type: "string" },
+    actions: {
+      navigate: (currentSection, section) => section,
+    },
+  },
+  user: {
+    initialState: null,
+    schema: { type: ["object", "null"] },
+    actions: {
+      set: (user, nextUser) => nextUser,
+    },
+  },
+  notifications: {
+    initialState: [],
+    schema: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "message", "type"],
+        properties: {
+          id: { type: "number" },
+          message: { type: "string" },
+          type: { enum: ["info", "success", "warning", "error"] },
+          duration: { type: "number", min: 0 },
+          timestamp: { type: "date" },
+        },
+      },
+    },
+    actions: {
+      add: (notifications, notification) => [...notifications, notification],
+      remove: (notifications, id) => notifications.filter((n) => n.id !== id),
+    },
+  },
+  loading: {
+    initialState: false,
+    schema: { type: "boolean" },
+    actions: {
+      set: (loading, nextLoading) => nextLoading,
+    },
+  },
+  formData: {
+    initialState: {},
+    // Form ID → field values
+    schema: { type: "object", values: { type: "object" } },
+    actions: {
+      update: (formData, formId, data) => ({
+        ...formData,
+        [formId]: { ...formData[formId], ...data },
+      }),
+      clear: (formData, formId) => {
+        const { [formId]: cleared, ...rest } = formData;
+        return rest;
+      },
+    },
+  },
+  stats: {
+    initialState: {
+      projects: 0,
+      components: 0,
+      satisfaction: 0,
+    },
+    schema: {
+      type: "object",
+      required: ["projects", "components", "satisfaction"],
+      properties: {
+        projects: { type: "integer", min: 0 },
+        components: { type: "integer", min: 0 },
+        satisfaction: { type: "number", min: 0, max: 100 },
+      },
+    },
+    actions: {
+      update: (stats, updates) => ({ ...stats, ...updates }),
+    },
+  },
+};
+
+/**
+ * Normalize a state path
+ * @param {Array|string} path - Array of keys or dot-separated string ("formData.contactForm")
+ * @returns {Array} Keys
+ */
+function toPath(path) {
+  if (Array.isArray(path)) {
+    return path;
+  }
+  return String(path).split(".").filter(Boolean);
+}
+
+/**
+ * Read a nested value
+ * @param {*} value - Object to read from
+ * @param {Array} keys - Path keys
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(value, keys) {
+  return keys.reduce(
+    (current, key) => (current == null ? undefined : current[key]),
+    value
+  );
+}
+
+/**
+ * Set a nested value without mutating, copying only the objects on the path
+ * @param {*} value - Object to update
+ * @param {Array} keys - Path keys
+ * @param {*} nextValue - Value to set
+ * @returns {*} Updated copy, or the same object if nothing changed
+ */
+function setPath(value, keys, nextValue) {
+  if (keys.length === 0) {
+    return nextValue;
+  }
+
+  const [key, ...rest] = keys;
+  const current = value == null ? undefined : value[key];
+  const next = setPath(current, rest, nextValue);
+
+  if (value != null && Object.is(current, next)) {
+    return value;
+  }
+
+  const copy = Array.isArray(value) ? value.slice() : { ...value };
+  copy[key] = next;
+  return copy;
+}
+
+/**
+ * Freeze plain objects and arrays recursively
+ * Already frozen objects are skipped, so shared parts of the state are
+ * only frozen once. Class instances (Date, DOM nodes...) are left alone.
+ * @param {*} value - Value to freeze
+ * @returns {*} The same value
+ */
+function deepFreeze(value) {
+  if (value === null || typeof value !== "object" || Object.isFrozen(value)) {
+    return value;
+  }
+
+  const proto = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+    return value;
+  }
+
+  Object.freeze(value);
+  Object.values(value).forEach(deepFreeze);
+  return value;
+}
+
+/**
+ * Copy an object without some of its keys
+ * @param {Object} object - Source object
+ * @param {Set} keys - Keys to leave out
+ * @returns {Object} Copy
+ */
+function omitKeys(object, keys) {
+  const result = {};
+  Object.keys(object).forEach((key) => {
+    if (!keys.has(key)) {
+      result[key] = object[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Create a storage adapter from storage.js
+ * In the browser storage.js is loaded before this file and defines a global
+ * createStorageAdapter; in Node it is required.
+ * @param {string} type - Storage type
+ * @returns {Object} Storage adapter
+ */
+function resolveStorageAdapter(type) {
+  const create =
+    typeof createStorageAdapter === "function"
+      ? createStorageAdapter
+      : require("./storage.js").createStorageAdapter;
+  return create(type);
+}
+
+/**
+ * A state value that doesn't match its schema
+ */
+class StateValidationError extends Error {
+  /**
+   * @param {Object} details - Error details
+   * @param {string} details.path - Path of the invalid value ("stats.satisfaction")
+   * @param {string} details.rule - Schema rule that failed (type, enum, required, min, max)
+   * @param {*} details.expected - What the rule expects
+   * @param {*} details.value - The invalid value
+   * @param {string} details.message - Description without the path
+   */
+  constructor({ path, rule, expected, value, message }) {
+    super(`${path} ${message}`);
+    this.name = "StateValidationError";
+    this.path = path;
+    this.key = path.split(".")[0];
+    this.rule = rule;
+    this.expected = expected;
+    this.value = value;
+    // Set by AppState.validate()
+    this.action = null;
+  }
+}
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Value
+ * @returns {string} "null", "array", "date", "integer", "number", "NaN", "string", ...
+ */
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (value instanceof Date) {
+    return "date";
+  }
+  if (Number.isNaN(value)) {
+    return "NaN";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema
+ *
+ * Schemas are plain objects with any of these rules:
+ * - type: "string", "number", "integer", "boolean", "object", "array",
+ *   "date", "null", or an array of them
+ * - enum: allowed values
+ * - min / max: numeric range
+ * - required: property names an object must have
+ * - properties: schemas of object properties
+ * - values: schema of every property value (objects used as maps)
+ * - items: schema of every array item
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Path of the value, used in error messages
+ * @param {Array} errors - Collected StateValidationErrors
+ * @returns {Array} errors
+ */
+function validateValue(value, schema, path, errors = []) {
+  const fail = (rule, expected, message) => {
+    errors.push(
+      new StateValidationError({ path, rule, expected, value, message })
+    );
+    return errors;
+  };
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const matches = types.some(
+      (type) => type === actual || (type === "number" && actual === "integer")
+    );
+    if (!matches) {
+      return fail(
+        "type",
+        types,
+        `must be of type ${types.join(" or ")} (got ${actual})`
+      );
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const options = schema.enum.map((option) => JSON.stringify(option));
+    return fail(
+      "enum",
+      schema.enum,
+      `must be one of ${options.join(", ")} (got ${JSON.stringify(value)})`
+    );
+  }
+
+  if (typeof value === "number") {
+    if (schema.min !== undefined && value < schema.min) {
+      fail("min", schema.min, `must be at least ${schema.min} (got ${value})`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      fail("max", schema.max, `must be at most ${schema.max} (got ${value})`);
+    }
+  }
+
+  if (actual === "object") {
+    (schema.required || []).forEach((property) => {
+      if (value[property] === undefined) {
+        errors.push(
+          new StateValidationError({
+            path: `${path}.${property}`,
+            rule: "required",
+            expected: property,
+            value: undefined,
+            message: "is required",
+          })
+        );
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([property, rules]) => {
+      if (value[property] !== undefined) {
+        validateValue(value[property], rules, `${path}.${property}`, errors);
+      }
+    });
+
+    if (schema.values) {
+      Object.keys(value).forEach((property) => {
+        validateValue(
+          value[property],
+          schema.values,
+          `${path}.${property}`,
+          errors
+        );
+      });
+    }
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, index) => {
+      validateValue(item, schema.items, `${path}.${index}`, errors);
+    });
+  }
+
+  return errors;
+}
+
 class AppState {
   constructor() {
-    this.state = {
-      currentSection: "home",
-      user: null,
-      notifications: [],
-      loading: false,
-      formData: {},
-      stats: {
-        projects: 0,
-        components: 0,
-        satisfaction: 0,
-      },
-    };
+    // Freeze state in development so mutations don't change it
+    this.freeze = this.isDevelopment();
+    this.state = this.freezeState({});
 
     this.subscribers = [];
     this.middlewares = [];
+
+    // Nesting depth of batch() calls and the state before the outermost one
+    this.batchDepth = 0;
+    this.batchPrevState = null;
+
+    // Undo / redo history, see enableHistory()
+    this.history = null;
+
+    // Storage settings, see enablePersistence()
+    this.persistence = null;
+
+    // Redux DevTools connection, see connectDevTools()
+    this.devTools = null;
+
+    // Derived values, see computed()
+    this.computedValues = new Map();
+
+    // State key → schema, see defineSchema()
+    this.schemas = new Map();
+    this.validationHandler = null;
+
+    // State slices, see registerSlice()
+    this.slices = new Map();
+    Object.entries(CORE_SLICES).forEach(([name, definition]) => {
+      this.registerSlice(name, definition);
+    });
+  }
+
+  /**
+   * Register a slice of state
+   * The slice owns `state[name]`. Its actions are reducers that receive the
+   * slice's current value and the action arguments, and return its next
+   * value. Features loaded later can register their slices when they load:
+   *
+   *   const cart = appState.registerSlice("cart", {
+   *     initialState: { items: [] },
+   *     actions: {
+   *       addItem: (cart, item) => ({ ...cart, items: [...cart.items, item] }),
+   *     },
+   *   });
+   *   cart.addItem({ id: 1 }); // or appState.dispatch("cart/addItem", { id: 1 })
+   *
+   * A value already in the state (restored or hydrated) is kept.
+   *
+   * @param {string} name - State key and action namespace
+   * @param {Object} definition - Slice definition
+   * @param {*} definition.initialState - Initial value, also used by resetSlice()
+   * @param {Object} definition.schema - Schema of the slice's state (optional, see defineSchema)
+   * @param {Object} definition.actions - Action name → reducer (sliceState, ...args) => sliceState
+   * @returns {Object} Bound actions, each returning the setState promise
+   */
+  registerSlice(name, definition = {}) {
+    if (this.slices.has(name)) {
+      throw new Error(`Slice "${name}" is already registered`);
+    }
+    if (this.computedValues.has(name)) {
+      throw new Error(`Slice "${name}" would hide the computed value`);
+    }
+
+    const slice = {
+      initialState: definition.initialState,
+      reducers: definition.actions || {},
+      actions: {},
+    };
+
+    // Reducers run when the update is applied, so actions waiting on an
+    // async middleware build on each other instead of on a stale state
+    Object.entries(slice.reducers).forEach(([actionName, reducer]) => {
+      slice.actions[actionName] = (...args) =>
+        this.setState(
+          (state) => ({ [name]: reducer(state[name], ...args) }),
+          `${name}/${actionName}`
+        );
+    });
+
+    this.slices.set(name, slice);
+    if (definition.schema) {
+      this.defineSchema(name, definition.schema);
+    }
+
+    if (this.state[name] === undefined) {
+      const prevState = this.state;
+      this.state = this.freezeState({
+        ...this.state,
+        [name]: slice.initialState,
+      });
+      if (this.batchDepth === 0) {
+        this.notify(prevState);
+      }
+    }
+
+    return slice.actions;
+  }
+
+  /**
+   * Remove a slice and its state
+   * @param {string} name - Slice name
+   */
+  unregisterSlice(name) {
+    if (!this.slices.delete(name)) {
+      return;
+    }
+
+    const { [name]: removed, ...rest } = this.state;
+    this.replaceState(rest, { type: `${name}/unregister` });
+  }
+
+  /**
+   * Get the bound actions of a slice
+   * @param {string} name - Slice name
+   * @returns {Object} Actions
+   */
+  getSlice(name) {
+    const slice = this.slices.get(name);
+    if (!slice) {
+      throw new Error(`Unknown slice "${name}"`);
+    }
+    return slice.actions;
+  }
+
+  /**
+   * Dispatch a namespaced slice action
+   * @param {string} type - Action type such as "cart/addItem"
+   * @param {...*} args - Action arguments
+   * @returns {Promise<boolean>} Whether the update was applied
+   */
+  dispatch(type, ...args) {
+    const separator = type.lastIndexOf("/");
+    const slice = this.slices.get(type.slice(0, separator));
+    const action = slice && slice.actions[type.slice(separator + 1)];
+
+    if (!action) {
+      throw new Error(`Unknown action "${type}"`);
+    }
+    return action(...args);
+  }
+
+  /**
+   * Reset a slice to its initial state
+   * @param {string} name - Slice name
+   * @returns {Promise<boolean>} Whether the update was applied
+   */
+  resetSlice(name) {
+    const slice = this.slices.get(name);
+    if (!slice) {
+      throw new Error(`Unknown slice "${name}"`);
+    }
+    return this.setState({ [name]: slice.initialState }, `${name}/reset`);
+  }
+
+  /**
+   * Declare the schema of a state key
+   * Updates to the key are checked against it; an update with invalid
+   * values is not applied and the errors go to the validation handler.
+   *
+   *   appState.defineSchema("theme", { enum: ["light", "dark"] });
+   *
+   * See validateValue() for the available rules.
+   *
+   * @param {string} key - State key
+   * @param {Object|null} schema - Schema, or null to remove it
+   */
+  defineSchema(key, schema) {
+    if (schema) {
+      this.schemas.set(key, schema);
+    } else {
+      this.schemas.delete(key);
+    }
+  }
+
+  /**
+   * Check updates against the schemas
+   * Keys without a schema are not checked.
+   * @param {Object} updates - Partial state updates
+   * @param {string} action - Action name stored on the errors
+   * @returns {Array<StateValidationError>} Errors, empty if the updates are valid
+   */
+  validate(updates, action = null) {
+    const errors = [];
+
+    Object.entries(updates || {}).forEach(([key, value]) => {
+      const schema = this.schemas.get(key);
+      if (schema) {
+        validateValue(value, schema, key, errors);
+      }
+    });
+
+    errors.forEach((error) => {
+      error.action = action;
+    });
+    return errors;
+  }
+
+  /**
+   * Set the function receiving validation errors
+   * It is called with the errors and `{ action, source }`, where source is
+   * "setState", "restore" or "hydrate". Pass null to restore the default, which logs
+   * the errors with console.error.
+   * @param {Function|null} handler - (errors, { action, source }) => void
+   */
+  setValidationHandler(handler) {
+    this.validationHandler = handler;
+  }
+
+  /**
+   * Remove the keys with validation errors from updates
+   * Used for state from outside (storage, server) so that one invalid key
+   * doesn't discard the rest.
+   * @param {Object} updates - Partial state updates
+   * @param {Object} details - `{ action, source }` for the validation handler
+   * @returns {Object} The valid updates
+   */
+  dropInvalidKeys(updates, details) {
+    const errors = this.validate(updates, details.action);
+    if (errors.length === 0) {
+      return updates;
+    }
+
+    this.reportValidationErrors(errors, details);
+    const invalidKeys = new Set(errors.map((error) => error.key));
+    return omitKeys(updates, invalidKeys);
+  }
+
+  /**
+   * Report validation errors to the validation handler
+   * @param {Array<StateValidationError>} errors - Errors
+   * @param {Object} details - `{ action, source }`
+   */
+  reportValidationErrors(errors, details) {
+    if (this.validationHandler) {
+      try {
+        this.validationHandler(errors, details);
+      } catch (error) {
+        this.handleError(error, "validation handler");
+      }
+      return;
+    }
+
+    console.error(
+      `Invalid state in ${details.action}:\n` +
+        errors.map((error) => `  - ${error.message}`).join("\n")
+    );
   }
 
   /**
    * Subscribe to state changes
-   * @param {Function} callback - Function to call when state changes
+   *
+   * With a callback only, it is called with (state, prevState, meta) after
+   * every update. With a selector, the callback is called with
+   * (selected, prevSelected, state, meta) only when the selected value
+   * changes:
+   *
+   *   appState.subscribe((state) => state.loading, (loading) => { ... });
+   *
+   * The selector can also be a state path ("stats.projects") or the name of
+   * a computed value. `meta` is the object passed to setState (empty for
+   * batched and other updates).
+   *
+   * @param {Function|string} selector - Picks the watched value from the state, or the callback
+   * @param {Function} callback - Function to call when the selected value changes
+   * @param {Object} options - Subscription options
+   * @param {Function} options.equalityFn - Compares selected values (default: Object.is)
    * @returns {Function} Unsubscribe function
    */
-  subscribe(callback) {
-    this.subscribers.push(callback);
+  subscribe(selector, callback, options = {}) {
+    if (typeof selector === "string") {
+      selector = this.toSelector(selector);
+    }
+
+    const subscriber =
+      typeof callback === "function"
+        ? {
+            selector,
+            callback,
+            equalityFn: options.equalityFn || Object.is,
+            lastValue: selector(this.state),
+          }
+        : { selector: null, callback: selector };
+
+    this.subscribers.push(subscriber);
     return () => {
-      this.subscribers = this.subscribers.filter((sub) => sub !== callback);
+      this.subscribers = this.subscribers.filter((sub) => sub !== subscriber);
     };
   }
 
+  /**
+   * Turn a dependency into a selector function
+   * @param {Function|string} dependency - Selector, state path or computed name
+   * @returns {Function} Selector (state) => value
+   */
+  toSelector(dependency) {
+    if (typeof dependency === "function") {
+      return dependency;
+    }
+    if (this.computedValues.has(dependency)) {
+      return () => this.getComputed(dependency);
+    }
+
+    const keys = toPath(dependency);
+    return (state) => getPath(state, keys);
+  }
+
+  /**
+   * Define a derived value
+   * It is recomputed only when one of its dependencies changes, and can be
+   * read with getComputed(name) or watched with subscribe(name, callback):
+   *
+   *   appState.computed("notificationCount", ["notifications"], (list) => list.length);
+   *
+   * @param {string} name - Name of the derived value
+   * @param {Array} dependencies - Selectors, state paths or other computed names
+   * @param {Function} fn - Receives the dependency values and returns the derived value
+   * @returns {Function} Getter for the current value
+   */
+  computed(name, dependencies, fn) {
+    if (name in this.state) {
+      throw new Error(`Computed value "${name}" would hide the state key`);
+    }
+
+    this.computedValues.set(name, {
+      selectors: dependencies.map((dependency) => this.toSelector(dependency)),
+      fn,
+      dependencyValues: null,
+      value: undefined,
+    });
+
+    return () => this.getComputed(name);
+  }
+
+  /**
+   * Get a derived value
+   * @param {string} name - Name given to computed()
+   * @returns {*} Current value
+   */
+  getComputed(name) {
+    const entry = this.computedValues.get(name);
+    if (!entry) {
+      throw new Error(`Unknown computed value "${name}"`);
+    }
+
+    const values = entry.selectors.map((selector) => selector(this.state));
+    const changed =
+      !entry.dependencyValues ||
+      values.some(
+        (value, index) => !Object.is(value, entry.dependencyValues[index])
+      );
+
+    if (changed) {
+      entry.dependencyValues = values;
+      entry.value = entry.fn(...values);
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Run a side effect now and whenever its dependencies change
+   * The function may return a cleanup function, which is called before the
+   * next run and when the effect is disposed.
+   *
+   *   const dispose = appState.effect(["currentSection"], (section) => {
+   *     document.title = `${section} | My Site`;
+   *   });
+   *
+   * @param {Array} dependencies - Selectors, state paths or computed names
+   * @param {Function} fn - Receives the dependency values
+   * @returns {Function} Dispose function
+   */
+  effect(dependencies, fn) {
+    const selectors = dependencies.map((dependency) =>
+      this.toSelector(dependency)
+    );
+    let cleanup = null;
+
+    const run = (values) => {
+      if (typeof cleanup === "function") {
+        cleanup();
+      }
+      cleanup = fn(...values);
+    };
+
+    const unsubscribe = this.subscribe(
+      (state) => selectors.map((selector) => selector(state)),
+      run,
+      { equalityFn: AppState.shallowEqual }
+    );
+
+    try {
+      run(selectors.map((selector) => selector(this.state)));
+    } catch (error) {
+      this.handleError(error, "effect");
+    }
+
+    return () => {
+      unsubscribe();
+      if (typeof cleanup === "function") {
+        cleanup();
+      }
+      cleanup = null;
+    };
+  }
+
+  /**
+   * Run several updates and notify subscribers once at the end
+   * @param {Function} fn - Function making synchronous state updates
+   * @returns {*} Return value of fn
+   */
+  batch(fn) {
+    if (this.batchDepth === 0) {
+      this.batchPrevState = this.state;
+    }
+    this.batchDepth++;
+
+    try {
+      return fn();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0) {
+        const prevState = this.batchPrevState;
+        this.batchPrevState = null;
+        if (prevState !== this.state) {
+          this.notify(prevState);
+        }
+      }
+    }
+  }
+
+  /**
+   * Notify subscribers of a state change
+   * Selector subscribers are skipped when their selected value is unchanged.
+   * @param {Object} prevState - State before the change
+   * @param {Object} meta - Update metadata passed on to subscribers
+   */
+  notify(prevState, meta = {}) {
+    this.recordHistory();
+
+    // Copy so subscribers can unsubscribe while being notified
+    this.subscribers.slice().forEach((subscriber) => {
+      try {
+        if (!subscriber.selector) {
+          subscriber.callback(this.state, prevState, meta);
+          return;
+        }
+
+        const value = subscriber.selector(this.state);
+        if (!subscriber.equalityFn(value, subscriber.lastValue)) {
+          const prevValue = subscriber.lastValue;
+          subscriber.lastValue = value;
+          subscriber.callback(value, prevValue, this.state, meta);
+        }
+      } catch (error) {
+        this.handleError(error, "subscriber");
+      }
+    });
+  }
+
   /**
    * Add middleware for state updates
-   * @param {Function} middleware - Middleware function
+   *
+   * Middlewares run in order around each setState, Koa style. They receive
+   * a context and a `next` function; the update is applied when the last
+   * middleware calls next(). A middleware can change `context.updates`,
+   * cancel the update by not calling next(), or await before and after it:
+   *
+   *   appState.use(async (context, next) => {
+   *     if (context.action === "form/clear" && !confirm("Discard?")) return;
+   *     await next();
+   *     analytics.track(context.action);
+   *   });
+   *
+   * The context holds `action` (name), `updates`, `meta` (as passed to
+   * setState), `state` (the state when setState was called) and
+   * `getState()`.
+   *
+   * @param {Function} middleware - Middleware function (context, next)
+   * @returns {Function} Function removing the middleware
    */
   use(middleware) {
     this.middlewares.push(middleware);
+    return () => {
+      this.middlewares = this.middlewares.filter((m) => m !== middleware);
+    };
+  }
+
+  /**
+   * Run the middlewares around an update
+   * Middlewares that don't await anything before next() keep the update
+   * synchronous.
+   * @param {Object} context - Middleware context
+   * @param {Function} apply - Applies the update
+   * @returns {Promise} Settles when all middlewares have finished
+   */
+  runMiddlewares(context, apply) {
+    const middlewares = this.middlewares.slice();
+    let lastIndex = -1;
+
+    const dispatch = (index) => {
+      if (index <= lastIndex) {
+        return Promise.reject(new Error("next() called multiple times"));
+      }
+      lastIndex = index;
+
+      if (index === middlewares.length) {
+        apply();
+        return Promise.resolve();
+      }
+
+      try {
+        return Promise.resolve(
+          middlewares[index](context, () => dispatch(index + 1))
+        );
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  }
+
+  /**
+   * Report an error from a middleware or subscriber
+   * Errors are logged instead of thrown so one failing listener can't
+   * break the others. Override to send them to error tracking.
+   * @param {Error} error - Error
+   * @param {string} source - Where the error happened
+   */
+  handleError(error, source) {
+    console.error(`AppState ${source} failed:`, error);
   }
 
   /**
    * Get current state
+   * The state must be treated as read-only; use setState, setIn or update
+   * to change it.
    * @returns {Object} Current state
    */
   getState() {
-    return { ...this.state };
+    return this.state;
+  }
+
+  /**
+   * Get a nested value
+   * @param {Array|string} path - Path such as ['formData', 'contactForm'] or "formData.contactForm"
+   * @param {*} defaultValue - Returned when the path doesn't exist
+   * @returns {*} Value at the path
+   */
+  getIn(path, defaultValue) {
+    const value = getPath(this.state, toPath(path));
+    return value === undefined ? defaultValue : value;
+  }
+
+  /**
+   * Set a nested value
+   * Objects along the path are copied, everything else is shared.
+   * @param {Array|string} path - Path such as ['formData', 'contactForm', 'email']
+   * @param {*} value - New value
+   * @param {string} action - Action name (default: "setIn <path>")
+   */
+  setIn(path, value, action) {
+    const keys = toPath(path);
+    if (keys.length === 0) {
+      throw new Error("setIn needs a non-empty path");
+    }
+
+    this.updatePath(keys, () => value, action || `setIn ${keys.join(".")}`);
+  }
+
+  /**
+   * Update a nested value with a function
+   * @param {Array|string} path - Path to the value
+   * @param {Function} updater - Receives the current value and returns the new one
+   * @param {string} action - Action name (default: "update <path>")
+   */
+  update(path, updater, action) {
+    const keys = toPath(path);
+    if (keys.length === 0) {
+      throw new Error("update needs a non-empty path");
+    }
+
+    this.updatePath(keys, updater, action || `update ${keys.join(".")}`);
+  }
+
+  /**
+   * Replace a nested value, computed from the state the update is applied to
+   * @param {Array} keys - Non-empty path
+   * @param {Function} updater - Receives the current value and returns the new one
+   * @param {string} action - Action name
+   */
+  updatePath(keys, updater, action) {
+    const [key, ...rest] = keys;
+    const nextFor = (state) =>
+      setPath(state[key], rest, updater(getPath(state, keys)));
+
+    // Nothing changed, don't notify
+    if (Object.is(nextFor(this.state), this.state[key])) {
+      return;
+    }
+
+    this.setState((state) => {
+      const next = nextFor(state);
+      return Object.is(next, state[key]) ? null : { [key]: next };
+    }, action);
+  }
+
+  /**
+   * Freeze a state object if freezing is enabled
+   * @param {Object} state - State or state fragment
+   * @returns {Object} The same object
+   */
+  freezeState(state) {
+    return this.freeze ? deepFreeze(state) : state;
   }
 
   /**
    * Update state and notify subscribers
-   * @param {Object} updates - Partial state updates
+   * The update is applied synchronously unless a middleware awaits before
+   * calling next().
+   *
+   * `updates` can also be a function (state) => updates (or null for no
+   * change). It runs again against the state the update is applied to,
+   * so updates delayed by async middlewares don't overwrite each other.
+   * Middlewares see its result for the current state as `context.updates`;
+   * the entries they change are kept.
+   *
+   * @param {Object|Function} updates - Partial state updates, or a function returning them
+   * @param {string} action - Action name shown in logs and DevTools (e.g. "form/submit")
+   * @param {Object} meta - Metadata for middlewares and subscribers (e.g. { fromStorage: true })
+   * @returns {Promise<boolean>} Resolves once middlewares finish, with whether the update was applied
    */
-  setState(updates) {
-    const prevState = { ...this.state };
+  setState(updates, action = "setState", meta = {}) {
+    const updater = typeof updates === "function" ? updates : null;
+    const preview = updater ? updater(this.state) : updates;
+    const context = {
+      action,
+      updates: preview,
+      meta,
+      state: this.state,
+      getState: () => this.state,
+    };
+    let applied = false;
 
-    // Apply middlewares
-    let processedUpdates = updates;
-    this.middlewares.forEach((middleware) => {
-      processedUpdates =
-        middleware(prevState, processedUpdates) || processedUpdates;
+    return this.runMiddlewares(context, () => {
+      if (updater && this.state !== context.state) {
+        context.updates = this.recomputeUpdates(
+          updater,
+          preview,
+          context.updates
+        );
+      }
+      if (updater && !context.updates) {
+        return;
+      }
+
+      const errors = this.validate(context.updates, action);
+      if (errors.length > 0) {
+        this.reportValidationErrors(errors, { action, source: "setState" });
+        return;
+      }
+
+      this.applyUpdates(context.updates, action, meta);
+      applied = true;
+    }).then(
+      () => applied,
+      (error) => {
+        this.handleError(error, `middleware (${action})`);
+        return applied;
+      }
+    );
+  }
+
+  /**
+   * Run an update function again against the current state
+   * Entries that middlewares changed or added are kept, removed ones stay
+   * removed.
+   * @param {Function} updater - (state) => updates
+   * @param {Object|null} preview - Its result when setState was called
+   * @param {Object|null} updates - The updates after the middlewares
+   * @returns {Object|null} Updates to apply, null for no change
+   */
+  recomputeUpdates(updater, preview, updates) {
+    const fresh = updater(this.state);
+    if (!fresh || !updates) {
+      return updates === preview ? fresh : updates;
+    }
+
+    const result = {};
+    Object.keys(updates).forEach((key) => {
+      const untouched =
+        preview && key in preview && Object.is(updates[key], preview[key]);
+      result[key] = untouched && key in fresh ? fresh[key] : updates[key];
     });
+    return result;
+  }
+
+  /**
+   * Apply updates that passed the middlewares
+   * @param {Object} updates - Partial state updates
+   * @param {string} action - Action name
+   * @param {Object} meta - Update metadata
+   */
+  applyUpdates(updates, action, meta) {
+    const prevState = this.state;
+    const processedUpdates = updates || {};
 
     // Update state
-    this.state = { ...this.state, ...processedUpdates };
+    this.state = this.freezeState({ ...this.state, ...processedUpdates });
 
-    // Notify subscribers
-    this.subscribers.forEach((callback) => {
-      callback(this.state, prevState);
-    });
+    // Notify subscribers, unless batch() will do it
+    if (this.batchDepth === 0) {
+      this.notify(prevState, meta);
+    }
+
+    this.sendToDevTools({ type: action, updates: processedUpdates });
 
-    // Log state changes in development
-    if (this.isDevelopment()) {
-      console.log("State updated:", {
+    // Log state changes in development, unless DevTools show them
+    if (this.isDevelopment() && !this.devTools) {
+      console.log(`State updated (${action}):`, {
         previous: prevState,
         current: this.state,
         updates: processedUpdates,
@@ -82,12 +1083,349 @@ class AppState {
     }
   }
 
+  /**
+   * Record state changes for undo / redo
+   * Snapshots share unchanged objects with the state, so entries are cheap.
+   * @param {Object} options - History options
+   * @param {number} options.limit - Maximum number of undo steps (default: 50)
+   * @param {Array} options.exclude - Keys that are not recorded or restored (default: loading, notifications)
+   * @param {number} options.groupWindow - Updates closer together than this are recorded as one entry (ms, default: 300)
+   */
+  enableHistory(options = {}) {
+    this.history = {
+      limit: options.limit || 50,
+      exclude: new Set(options.exclude || ["loading", "notifications"]),
+      groupWindow:
+        options.groupWindow !== undefined ? options.groupWindow : 300,
+      entries: [],
+      index: 0,
+      lastRecordTime: 0,
+      restoring: false,
+    };
+    this.history.entries.push(this.createSnapshot());
+  }
+
+  /**
+   * Stop recording and drop the history
+   */
+  disableHistory() {
+    this.history = null;
+  }
+
+  /**
+   * Get the recorded part of the current state
+   * @returns {Object} Snapshot
+   */
+  createSnapshot() {
+    return this.freezeState(omitKeys(this.state, this.history.exclude));
+  }
+
+  /**
+   * Add the current state to the history
+   */
+  recordHistory() {
+    const history = this.history;
+    if (!history || history.restoring) {
+      return;
+    }
+
+    // Only excluded keys changed
+    const snapshot = this.createSnapshot();
+    if (AppState.shallowEqual(snapshot, history.entries[history.index])) {
+      return;
+    }
+
+    const now = Date.now();
+    const isLatest = history.index === history.entries.length - 1;
+    const grouped =
+      isLatest &&
+      history.index > 0 &&
+      now - history.lastRecordTime < history.groupWindow;
+
+    if (grouped) {
+      history.entries[history.index] = snapshot;
+    } else {
+      // A new change discards the redo steps
+      history.entries = history.entries.slice(0, history.index + 1);
+      history.entries.push(snapshot);
+      if (history.entries.length > history.limit + 1) {
+        history.entries.shift();
+      }
+      history.index = history.entries.length - 1;
+    }
+
+    history.lastRecordTime = now;
+  }
+
+  /**
+   * Check if there is a step to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return Boolean(this.history) && this.history.index > 0;
+  }
+
+  /**
+   * Check if there is a step to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return (
+      Boolean(this.history) &&
+      this.history.index < this.history.entries.length - 1
+    );
+  }
+
+  /**
+   * Go back one step
+   * @returns {boolean} Whether a step was undone
+   */
+  undo() {
+    return this.canUndo() && this.jumpTo(this.history.index - 1);
+  }
+
+  /**
+   * Go forward one step
+   * @returns {boolean} Whether a step was redone
+   */
+  redo() {
+    return this.canRedo() && this.jumpTo(this.history.index + 1);
+  }
+
+  /**
+   * Restore a history entry
+   * Excluded keys keep their current values. Middlewares are not applied.
+   * @param {number} index - Entry index (0 is the oldest)
+   * @returns {boolean} Whether the entry exists
+   */
+  jumpTo(index) {
+    const history = this.history;
+    if (!history || index < 0 || index >= history.entries.length) {
+      return false;
+    }
+
+    const excluded = {};
+    history.exclude.forEach((key) => {
+      if (key in this.state) {
+        excluded[key] = this.state[key];
+      }
+    });
+
+    history.index = index;
+    history.lastRecordTime = 0;
+    this.replaceState({ ...history.entries[index], ...excluded }, {
+      type: "history/jumpTo",
+      index,
+    });
+
+    return true;
+  }
+
+  /**
+   * Serialize the state for the client
+   * The result can be embedded in server-rendered HTML: "<" and line
+   * separators are escaped, so it can't close the <script> element.
+   * @param {Object} options - Serialize options
+   * @param {Array} options.exclude - Keys left out (default: loading, notifications)
+   * @returns {string} JSON
+   */
+  serialize(options = {}) {
+    const exclude = new Set(options.exclude || ["loading", "notifications"]);
+
+    return JSON.stringify(omitKeys(this.state, exclude))
+      .replace(/</g, "\\u003c")
+      .replace(/\u2028/g, "\\u2028")
+      .replace(/\u2029/g, "\\u2029");
+  }
+
+  /**
+   * Take over state created by serialize()
+   * Keys failing their schema are reported and skipped. Like replaceState,
+   * this bypasses middlewares and history, so hydrate before enabling
+   * history and persistence.
+   * @param {string|Object} serialized - serialize() output or a parsed state
+   */
+  hydrate(serialized) {
+    const state =
+      typeof serialized === "string" ? JSON.parse(serialized) : serialized;
+    const updates = this.dropInvalidKeys(state || {}, {
+      action: "state/hydrate",
+      source: "hydrate",
+    });
+
+    this.replaceState(
+      { ...this.state, ...updates },
+      { type: "state/hydrate", updates }
+    );
+  }
+
+  /**
+   * Replace the whole state without middlewares or history recording
+   * Used for time travel from the history or DevTools.
+   * @param {Object} nextState - New state
+   * @param {Object} action - Action sent to DevTools (optional)
+   */
+  replaceState(nextState, action = null) {
+    const prevState = this.state;
+    const history = this.history;
+    this.state = this.freezeState(nextState);
+
+    if (history) {
+      history.restoring = true;
+    }
+    try {
+      this.notify(prevState);
+    } finally {
+      if (history) {
+        history.restoring = false;
+      }
+    }
+
+    if (action) {
+      this.sendToDevTools(action);
+    }
+  }
+
+  /**
+   * Connect to the Redux DevTools browser extension
+   * Every setState is shown with its action name; jumping, importing,
+   * committing and rolling back from the extension update the app.
+   * @param {Object} options - Connection options
+   * @param {string} options.name - Instance name shown in the extension
+   * @returns {boolean} Whether the extension is installed
+   */
+  connectDevTools(options = {}) {
+    const extension =
+      typeof window !== "undefined" && window.__REDUX_DEVTOOLS_EXTENSION__;
+    if (!extension) {
+      return false;
+    }
+
+    this.disconnectDevTools();
+
+    const connection = extension.connect({
+      name: options.name || "Monolithic AppState",
+      features: {
+        pause: true,
+        export: true,
+        import: "custom",
+        jump: true,
+        dispatch: true,
+        persist: false,
+        lock: false,
+        skip: false,
+        reorder: false,
+        test: false,
+      },
+    });
+    connection.init(this.state);
+
+    const unsubscribe = connection.subscribe((message) =>
+      this.handleDevToolsMessage(message)
+    );
+    this.devTools = { connection, unsubscribe };
+    return true;
+  }
+
+  /**
+   * Disconnect from the Redux DevTools extension
+   */
+  disconnectDevTools() {
+    if (!this.devTools) {
+      return;
+    }
+    if (typeof this.devTools.unsubscribe === "function") {
+      this.devTools.unsubscribe();
+    }
+    this.devTools = null;
+  }
+
+  /**
+   * Send an action and the resulting state to DevTools
+   * @param {Object} action - Action with a `type`
+   */
+  sendToDevTools(action) {
+    if (this.devTools) {
+      this.devTools.connection.send(action, this.state);
+    }
+  }
+
+  /**
+   * Handle messages from the DevTools extension
+   * @param {Object} message - Extension message
+   */
+  handleDevToolsMessage(message) {
+    const { connection } = this.devTools;
+
+    try {
+      // Actions typed into the extension's dispatcher: { "type": "...", "updates": { ... } }
+      if (message.type === "ACTION") {
+        const action =
+          typeof message.payload === "string"
+            ? JSON.parse(message.payload)
+            : message.payload;
+        // Slice actions take arguments ({ type: "stats/update", args: [...] }),
+        // anything else is applied as an update object
+        if (Array.isArray(action.args)) {
+          this.dispatch(action.type, ...action.args);
+        } else {
+          this.setState(action.updates || {}, action.type || "devtools/dispatch");
+        }
+        return;
+      }
+
+      if (message.type !== "DISPATCH" || !message.payload) {
+        return;
+      }
+
+      switch (message.payload.type) {
+        case "JUMP_TO_STATE":
+        case "JUMP_TO_ACTION":
+          this.replaceState(JSON.parse(message.state));
+          break;
+        case "RESET":
+          this.reset();
+          connection.init(this.state);
+          break;
+        case "COMMIT":
+          connection.init(this.state);
+          break;
+        case "ROLLBACK": {
+          const state = JSON.parse(message.state);
+          this.replaceState(state);
+          connection.init(this.state);
+          break;
+        }
+        case "IMPORT_STATE": {
+          const { nextLiftedState } = message.payload;
+          const { computedStates } = nextLiftedState;
+          this.replaceState(computedStates[computedStates.length - 1].state);
+          connection.send(null, nextLiftedState);
+          break;
+        }
+      }
+    } catch (error) {
+      console.warn("Failed to handle DevTools message:", error);
+    }
+  }
+
+  /**
+   * Get the recorded history
+   * @returns {Object} `{ entries, index }`, entries are snapshots oldest first
+   */
+  getHistory() {
+    if (!this.history) {
+      return { entries: [], index: -1 };
+    }
+    return { entries: this.history.entries.slice(), index: this.history.index };
+  }
+
   /**
    * Navigate to a section
    * @param {string} section - Section to navigate to
    */
   navigate(section) {
-    this.setState({ currentSection: section });
+    this.dispatch("currentSection/navigate", section);
   }
 
   /**
@@ -95,7 +1433,7 @@ class AppState {
    * @param {boolean} loading - Loading state
    */
   setLoading(loading) {
-    this.setState({ loading });
+    this.dispatch("loading/set", loading);
   }
 
   /**
@@ -113,8 +1451,7 @@ class AppState {
       timestamp: new Date(),
     };
 
-    const notifications = [...this.state.notifications, notification];
-    this.setState({ notifications });
+    this.dispatch("notifications/add", notification);
 
     // Auto remove notification
     setTimeout(() => {
@@ -127,8 +1464,7 @@ class AppState {
    * @param {number} id - Notification ID
    */
   removeNotification(id) {
-    const notifications = this.state.notifications.filter((n) => n.id !== id);
-    this.setState({ notifications });
+    this.dispatch("notifications/remove", id);
   }
 
   /**
@@ -137,11 +1473,7 @@ class AppState {
    * @param {Object} data - Form data
    */
   updateFormData(formId, data) {
-    const formData = {
-      ...this.state.formData,
-      [formId]: { ...this.state.formData[formId], ...data },
-    };
-    this.setState({ formData });
+    this.dispatch("formData/update", formId, data);
   }
 
   /**
@@ -149,9 +1481,7 @@ class AppState {
    * @param {string} formId - Form identifier
    */
   clearFormData(formId) {
-    const formData = { ...this.state.formData };
-    delete formData[formId];
-    this.setState({ formData });
+    this.dispatch("formData/clear", formId);
   }
 
   /**
@@ -159,14 +1489,22 @@ class AppState {
    * @param {Object} stats - Stats to update
    */
   updateStats(stats) {
-    this.setState({ stats: { ...this.state.stats, ...stats } });
+    this.dispatch("stats/update", stats);
   }
 
   /**
    * Check if in development mode
+   * In the browser this depends on the host name, in Node on NODE_ENV.
    * @returns {boolean}
    */
   isDevelopment() {
+    if (typeof window === "undefined" || !window.location) {
+      return (
+        typeof process !== "undefined" &&
+        process.env.NODE_ENV === "development"
+      );
+    }
+
     return (
       window.location.hostname === "localhost" ||
       window.location.hostname === "127.0.0.1" ||
@@ -175,42 +1513,150 @@ class AppState {
   }
 
   /**
-   * Persist state to localStorage
-   * @param {Array} keys - Keys to persist
+   * Persist part of the state and keep it in sync across tabs
+   *
+   * The state is saved under "<namespace>:state" together with a schema
+   * version. When the stored version is older, the migrations for every
+   * newer version run in order before it is restored; a version without a
+   * migration is assumed to be compatible. Data from a newer version is
+   * ignored.
+   *
+   * @param {Object} options - Persistence options
+   * @param {string} options.namespace - Storage key prefix (default: "monolithic")
+   * @param {Array} options.keys - State keys to persist (default: user, formData)
+   * @param {number} options.version - Current schema version (default: 1)
+   * @param {Object} options.migrations - Version → function (state) => migrated state
+   * @param {string|Object} options.storage - "local", "session", "indexedDB", "memory" or an adapter
+   * @param {number} options.debounce - Delay before changes are written (ms, default: 300)
+   * @param {boolean} options.sync - Apply changes made in other tabs (default: true)
+   * @returns {Promise} Resolves once the persisted state has been restored
+   */
+  enablePersistence(options = {}) {
+    this.disablePersistence();
+
+    const namespace = options.namespace || "monolithic";
+    const persistence = {
+      key: `${namespace}:state`,
+      keys: options.keys || ["user", "formData"],
+      version: options.version || 1,
+      migrations: options.migrations || {},
+      storage:
+        typeof options.storage === "object"
+          ? options.storage
+          : resolveStorageAdapter(options.storage || "local"),
+      debounce: options.debounce !== undefined ? options.debounce : 300,
+      // Identifies this tab's own sync messages
+      tabId: Math.random().toString(36).slice(2),
+      timer: null,
+      channel: null,
+      cleanup: [],
+    };
+    this.persistence = persistence;
+
+    // Save when a persisted key changes, unless the change came from storage
+    persistence.cleanup.push(
+      this.subscribe(
+        (state) => this.pickPersisted(state),
+        (picked, prevPicked, state, meta) => {
+          if (!meta.fromStorage) {
+            this.schedulePersist();
+          }
+        },
+        { equalityFn: AppState.shallowEqual }
+      )
+    );
+
+    if (options.sync !== false) {
+      this.setupTabSync();
+    }
+
+    return this.restore();
+  }
+
+  /**
+   * Stop saving and syncing state
+   */
+  disablePersistence() {
+    if (!this.persistence) {
+      return;
+    }
+
+    clearTimeout(this.persistence.timer);
+    this.persistence.cleanup.forEach((cleanup) => cleanup());
+    this.persistence = null;
+  }
+
+  /**
+   * Get the persisted keys of a state
+   * @param {Object} state - State
+   * @returns {Object} Persisted part of the state
    */
-  persist(keys = ["user", "formData"]) {
-    const stateToPersist = {};
-    keys.forEach((key) => {
-      if (this.state[key] !== undefined) {
-        stateToPersist[key] = this.state[key];
+  pickPersisted(state) {
+    const picked = {};
+    this.persistence.keys.forEach((key) => {
+      if (state[key] !== undefined) {
+        picked[key] = state[key];
       }
     });
+    return picked;
+  }
+
+  /**
+   * Write the state once changes settle
+   */
+  schedulePersist() {
+    clearTimeout(this.persistence.timer);
+    this.persistence.timer = setTimeout(
+      () => this.persist(),
+      this.persistence.debounce
+    );
+  }
+
+  /**
+   * Write the persisted keys to storage now
+   * Web storage is written synchronously, so this is safe in beforeunload.
+   * @returns {Promise} Resolves once written
+   */
+  async persist() {
+    const persistence = this.persistence;
+    if (!persistence) {
+      return;
+    }
+
+    clearTimeout(persistence.timer);
+    persistence.timer = null;
+
+    const value = JSON.stringify({
+      version: persistence.version,
+      savedAt: Date.now(),
+      tabId: persistence.tabId,
+      state: this.pickPersisted(this.state),
+    });
 
     try {
-      localStorage.setItem("appState", JSON.stringify(stateToPersist));
+      await persistence.storage.set(persistence.key, value);
+      if (persistence.channel) {
+        persistence.channel.postMessage(value);
+      }
     } catch (error) {
       console.warn("Failed to persist state:", error);
     }
   }
 
   /**
-   * Restore state from localStorage
-   * @param {Array} keys - Keys to restore
+   * Restore the persisted keys from storage
+   * @returns {Promise} Resolves once restored
    */
-  restore(keys = ["user", "formData"]) {
-    try {
-      const persistedState = localStorage.getItem("appState");
-      if (persistedState) {
-        const parsedState = JSON.parse(persistedState);
-        const stateToRestore = {};
-
-        keys.forEach((key) => {
-          if (parsedState[key] !== undefined) {
-            stateToRestore[key] = parsedState[key];
-          }
-        });
+  async restore() {
+    const persistence = this.persistence;
+    if (!persistence) {
+      return;
+    }
 
-        this.setState(stateToRestore);
+    try {
+      const value = await persistence.storage.get(persistence.key);
+      if (value) {
+        this.applyPersisted(value);
       }
     } catch (error) {
       console.warn("Failed to restore state:", error);
@@ -218,59 +1664,143 @@ class AppState {
   }
 
   /**
-   * Reset state to initial values
+   * Migrate a stored state and apply it
+   * @param {string} value - Stored JSON
    */
-  reset() {
-    this.state = {
-      currentSection: "home",
-      user: null,
-      notifications: [],
-      loading: false,
-      formData: {},
-      stats: {
-        projects: 0,
-        components: 0,
-        satisfaction: 0,
-      },
-    };
+  applyPersisted(value) {
+    const persistence = this.persistence;
+    const stored = JSON.parse(value);
+    const version = stored.version;
+    let state = stored.state;
+
+    if (typeof version !== "number" || !state) {
+      console.warn("Ignoring persisted state without a version");
+      return;
+    }
+
+    if (version > persistence.version) {
+      console.warn(
+        `Ignoring persisted state from newer version ${version} (current: ${persistence.version})`
+      );
+      return;
+    }
+
+    for (let next = version + 1; next <= persistence.version; next++) {
+      if (persistence.migrations[next]) {
+        state = persistence.migrations[next](state);
+      }
+    }
 
-    this.subscribers.forEach((callback) => {
-      callback(this.state, {});
+    // Invalid keys keep their current value
+    const updates = this.dropInvalidKeys(this.pickPersisted(state), {
+      action: "persistence/restore",
+      source: "restore",
     });
+
+    // Tagged so the subscriber above doesn't write it back (and echo it to
+    // other tabs), even when a middleware delays the update
+    this.setState(updates, "persistence/restore", { fromStorage: true });
+
+    // Store the migrated shape
+    if (version < persistence.version) {
+      this.schedulePersist();
+    }
   }
-}
 
-// Middleware examples
-const loggingMiddleware = (prevState, updates) => {
-  console.log("State change:", updates);
-  return updates;
-};
+  /**
+   * Apply state saved by other tabs
+   * Uses BroadcastChannel when available, the storage event otherwise.
+   */
+  setupTabSync() {
+    const persistence = this.persistence;
+
+    const onRemoteChange = (value) => {
+      try {
+        if (JSON.parse(value).tabId !== persistence.tabId) {
+          this.applyPersisted(value);
+        }
+      } catch (error) {
+        console.warn("Failed to sync state from another tab:", error);
+      }
+    };
 
-const validationMiddleware = (prevState, updates) => {
-  // Add validation logic here
-  if (updates.currentSection && typeof updates.currentSection !== "string") {
-    console.warn("currentSection must be a string");
-    delete updates.currentSection;
+    if (typeof BroadcastChannel === "function") {
+      const channel = new BroadcastChannel(persistence.key);
+      channel.onmessage = (event) => onRemoteChange(event.data);
+      persistence.channel = channel;
+      persistence.cleanup.push(() => channel.close());
+    } else if (
+      persistence.storage.supportsStorageEvent &&
+      typeof window !== "undefined" &&
+      typeof window.addEventListener === "function"
+    ) {
+      const onStorage = (event) => {
+        if (event.key === persistence.key && event.newValue) {
+          onRemoteChange(event.newValue);
+        }
+      };
+      window.addEventListener("storage", onStorage);
+      persistence.cleanup.push(() =>
+        window.removeEventListener("storage", onStorage)
+      );
+    }
   }
-  return updates;
-};
 
-// Create global state instance
-window.appState = new AppState();
+  /**
+   * Reset all slices to their initial state
+   * Keys set without a slice are removed.
+   */
+  reset() {
+    const prevState = this.state;
+    const initialState = {};
+    this.slices.forEach((slice, name) => {
+      initialState[name] = slice.initialState;
+    });
+    this.state = this.freezeState(initialState);
 
-// Add middlewares in development
-if (window.appState.isDevelopment()) {
-  window.appState.use(loggingMiddleware);
-  window.appState.use(validationMiddleware);
-}
+    // Recompute derived values from scratch
+    this.computedValues.forEach((entry) => {
+      entry.dependencyValues = null;
+    });
 
-// Restore persisted state on load
-window.appState.restore();
+    if (this.batchDepth === 0) {
+      this.notify(prevState);
+    }
+    this.sendToDevTools({ type: "state/reset" });
+  }
 
-// Persist state before page unload
-window.addEventListener("beforeunload", () => {
-  window.appState.persist();
-});
+  /**
+   * Compare two objects or arrays one level deep
+   * Use as `equalityFn` for selectors that build a new object on each call.
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} Whether the values are shallowly equal
+   */
+  static shallowEqual(a, b) {
+    if (Object.is(a, b)) {
+      return true;
+    }
+    if (
+      typeof a !== "object" ||
+      typeof b !== "object" ||
+      a === null ||
+      b === null
+    ) {
+      return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return (
+      keysA.length === keysB.length &&
+      keysA.every(
+        (key) =>
+          Object.prototype.hasOwnProperty.call(b, key) &&
+          Object.is(a[key], b[key])
+      )
+    );
+  }
+}
 
 // Export for module systems (if needed)
 if (typeof module !== "undefined" && module.exports) {
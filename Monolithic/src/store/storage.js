@@ -0,0 +1,146 @@
+/**
+ * Storage Adapters for State Persistence
+ * Give localStorage, sessionStorage, IndexedDB and an in-memory store the
+ * same promise-based interface: get(key), set(key, value) and remove(key),
+ * with string values.
+ */
+
+class WebStorageAdapter {
+  /**
+   * @param {Storage} storage - window.localStorage or window.sessionStorage
+   */
+  constructor(storage) {
+    this.storage = storage;
+    // Web storage fires "storage" events in other tabs
+    this.supportsStorageEvent = true;
+  }
+
+  async get(key) {
+    return this.storage.getItem(key);
+  }
+
+  async set(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+class IndexedDBAdapter {
+  /**
+   * @param {string} dbName - Database name
+   * @param {string} storeName - Object store name
+   */
+  constructor(dbName = "monolithic-app", storeName = "state") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.supportsStorageEvent = false;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request in a transaction
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} createRequest - Receives the object store, returns a request
+   * @returns {Promise} Request result
+   */
+  async run(mode, createRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async get(key) {
+    const value = await this.run("readonly", (store) => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    await this.run("readwrite", (store) => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this.run("readwrite", (store) => store.delete(key));
+  }
+}
+
+class MemoryStorageAdapter {
+  constructor() {
+    this.items = new Map();
+    this.supportsStorageEvent = false;
+  }
+
+  async get(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  async remove(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Create a storage adapter by name
+ * @param {string} type - "local", "session", "indexedDB" or "memory"
+ * @returns {Object} Storage adapter
+ */
+function createStorageAdapter(type = "local") {
+  if (
+    (type === "local" || type === "session") &&
+    typeof window === "undefined"
+  ) {
+    throw new Error(`${type} storage is only available in the browser`);
+  }
+
+  switch (type) {
+    case "local":
+      return new WebStorageAdapter(window.localStorage);
+    case "session":
+      return new WebStorageAdapter(window.sessionStorage);
+    case "indexedDB":
+      return new IndexedDBAdapter();
+    case "memory":
+      return new MemoryStorageAdapter();
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
+
+// Export for module systems (if needed)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WebStorageAdapter,
+    IndexedDBAdapter,
+    MemoryStorageAdapter,
+    createStorageAdapter,
+  };
+}
@@ -1,6 +1,7 @@
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const { resolveStaticPath } = require("../shared/static-resolver");
 
 const PORT = 3003;
 const publicDir = path.join(__dirname, "public");
@@ -11,15 +12,33 @@ const contentTypes = {
   ".js": "application/javascript; charset=utf-8"
 };
 
-const server = http.createServer((req, res) => {
-  const urlPath = req.url === "/" ? "/index.html" : req.url;
-  const filePath = path.join(publicDir, urlPath);
-  const ext = path.extname(filePath);
+const errorMessages = {
+  400: "Bad request",
+  403: "Forbidden",
+  404: "Not found"
+};
+
+const server = http.createServer(async (req, res) => {
+  const result = await resolveStaticPath(publicDir, req.url);
+
+  if (result.status === 301) {
+    res.writeHead(301, { Location: result.location });
+    res.end();
+    return;
+  }
+
+  if (result.status !== 200) {
+    res.writeHead(result.status, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end(errorMessages[result.status]);
+    return;
+  }
+
+  const ext = path.extname(result.filePath);
 
-  fs.readFile(filePath, (err, content) => {
+  fs.readFile(result.filePath, (err, content) => {
     if (err) {
       res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
-      res.end("Not found");
+      res.end(errorMessages[404]);
       return;
     }
 
@@ -0,0 +1,125 @@
+/**
+ * Static File Resolver
+ * Maps request URLs onto files inside a root directory. Shared by the
+ * development servers of the Monolithic, MVC, MVP and MVVM examples.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Get the pathname of a request URL without its query string and hash
+ * @param {string} requestUrl - Raw request URL (e.g. "/index.html?v=2")
+ * @returns {string} Pathname (e.g. "/index.html")
+ */
+function getPathname(requestUrl = "/") {
+  return requestUrl.split(/[?#]/)[0] || "/";
+}
+
+/**
+ * Check if a path is the root directory or inside it
+ * @param {string} root - Absolute root directory
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean}
+ */
+function isInsideRoot(root, filePath) {
+  const relative = path.relative(root, filePath);
+  return (
+    relative === "" ||
+    (relative !== ".." &&
+      !relative.startsWith(".." + path.sep) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Build the URL path of a directory from its normalized file path
+ * Never starts with "//", which browsers would read as another host.
+ * @param {string} root - Absolute root directory
+ * @param {string} dirPath - Absolute directory path inside the root
+ * @returns {string} URL path ending with a slash
+ */
+function getDirectoryUrl(root, dirPath) {
+  const segments = path
+    .relative(root, dirPath)
+    .split(path.sep)
+    .filter(Boolean)
+    .map(encodeURIComponent);
+  return segments.length ? `/${segments.join("/")}/` : "/";
+}
+
+/**
+ * Resolve a request URL to a file inside a root directory
+ *
+ * The result status is one of:
+ *   200 - `filePath` points at an existing file
+ *   301 - directory requested without a trailing slash, redirect to `location`
+ *   400 - the path could not be decoded
+ *   403 - the path points outside the root directory
+ *   404 - no matching file (or directory without an index file)
+ *
+ * @param {string} root - Directory files are served from
+ * @param {string} requestUrl - Raw request URL
+ * @param {Object} options - Resolver options
+ * @param {string} options.indexFile - File served for directory requests
+ * @returns {Promise<Object>} Resolution result `{ status, pathname, filePath, stats, location }`
+ */
+async function resolveStaticPath(root, requestUrl, options = {}) {
+  const indexFile = options.indexFile || "index.html";
+  const rootDir = path.resolve(root);
+  const pathname = getPathname(requestUrl);
+
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch {
+    return { status: 400, pathname };
+  }
+
+  if (decodedPath.includes("\0")) {
+    return { status: 400, pathname };
+  }
+
+  let filePath = path.join(rootDir, decodedPath);
+  if (!isInsideRoot(rootDir, filePath)) {
+    return { status: 403, pathname };
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch {
+    return { status: 404, pathname, filePath };
+  }
+
+  if (stats.isDirectory()) {
+    // Keep relative links in the index file working
+    if (!pathname.endsWith("/")) {
+      const query = requestUrl.slice(pathname.length);
+      return {
+        status: 301,
+        pathname,
+        location: `${getDirectoryUrl(rootDir, filePath)}${query}`,
+      };
+    }
+
+    filePath = path.join(filePath, indexFile);
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch {
+      return { status: 404, pathname, filePath };
+    }
+  }
+
+  if (!stats.isFile()) {
+    return { status: 404, pathname, filePath };
+  }
+
+  return { status: 200, pathname, filePath, stats };
+}
+
+module.exports = {
+  getPathname,
+  isInsideRoot,
+  resolveStaticPath,
+};
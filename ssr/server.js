@@ -1,5 +1,6 @@
 const express = require("express");
 const path = require("path");
+const AppState = require("../Monolithic/src/store/state.js");
 
 const app = express();
 const PORT = 3004;
@@ -7,12 +8,36 @@ const PORT = 3004;
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
 app.use("/public", express.static(path.join(__dirname, "public")));
+// The browser hydrates the same store with the state rendered below
+app.use("/store", express.static(path.join(__dirname, "../Monolithic/src/store")));
+
+// A new state per request, so requests never share data
+function createPageState() {
+  const appState = new AppState();
+  appState.registerSlice("page", {
+    initialState: {
+      title: "SSR Example",
+      message: "This page is rendered on the server.",
+      items: ["Fast first paint", "SEO friendly output", "Simple data hydration path"]
+    },
+    schema: {
+      type: "object",
+      required: ["title", "items"],
+      properties: {
+        title: { type: "string" },
+        message: { type: "string" },
+        items: { type: "array", items: { type: "string" } }
+      }
+    }
+  });
+  return appState;
+}
 
 app.get("/", (req, res) => {
+  const appState = createPageState();
   res.render("index", {
-    title: "SSR Example",
-    message: "This page is rendered on the server.",
-    items: ["Fast first paint", "SEO friendly output", "Simple data hydration path"]
+    ...appState.getState().page,
+    initialState: appState.serialize()
   });
 });
 